@@ -1,9 +1,21 @@
 import Shader from './lib/shader';
 import Program from './lib/program';
+import ProgramCache from './lib/program/cache';
+import ShaderLibrary from './lib/shader/library';
+import preprocessShader, { getVariantKey } from './lib/shader/preprocessor';
+import ShaderCompileError from './lib/shader/compile_error';
+import ProgramLinkError from './lib/program/link_error';
+import { parseInfoLog } from './lib/shader/info_log';
 import BaseBuffer from './lib/buffer';
 import Renderer from './lib/renderer';
+import Capabilities from './lib/renderer/capabilities';
+import ResizeManager from './lib/renderer/resize';
+import DebugContext, { DebugMode } from './lib/renderer/debug';
 import BaseTexture from './lib/texture';
 import Extension from './lib/extensions';
+import RenderState, { createRenderState, clearRenderStates } from './lib/state/render_state';
+import StateStatistics, { StateCategory } from './lib/state/statistics';
+import ResourceRegistry, { ResourceType } from './lib/resources';
 import FrameBuffer from './lib/frame_buffer';
 import Texture2D from './lib/texture/texture_2d';
 import AttributeType from './lib/attributes/type';
@@ -13,12 +25,36 @@ import { InvalidFrameBufferId } from './lib/frame_buffer';
 import GeometryBuffer from './lib/buffer/geometry_buffer';
 import QuadIndexBuffer from './lib/buffer/quad_index_buffer';
 import ElementArrayBuffer from './lib/buffer/element_array_buffer';
-import { PrimitiveType, CullMode, DepthCompare } from './lib/primitives';
+import UniformBuffer from './lib/buffer/uniform_buffer';
+import {
+    PrimitiveType,
+    CullMode,
+    DepthCompare,
+    BlendMode,
+    BlendFactor,
+    BlendEquation,
+    StencilCompare,
+    StencilOp,
+    StencilFace,
+    IndexType,
+    ClearFlags,
+} from './lib/primitives';
 
 export {
     Shader,
+    ShaderLibrary,
+    preprocessShader,
+    getVariantKey,
+    ShaderCompileError,
+    ProgramLinkError,
+    parseInfoLog,
     Program,
+    ProgramCache,
     Renderer,
+    Capabilities,
+    ResizeManager,
+    DebugContext,
+    DebugMode,
     Texture2D,
     Extension,
     BaseBuffer,
@@ -28,10 +64,26 @@ export {
     AttributeType,
     GeometryBuffer,
     ElementArrayBuffer,
+    UniformBuffer,
     InvalidFrameBufferId,
     createAttributeBuffer,
     QuadIndexBuffer,
     PrimitiveType,
     DepthCompare,
-    CullMode
+    CullMode,
+    BlendMode,
+    BlendFactor,
+    BlendEquation,
+    StencilCompare,
+    StencilOp,
+    StencilFace,
+    IndexType,
+    ClearFlags,
+    RenderState,
+    createRenderState,
+    clearRenderStates,
+    StateStatistics,
+    StateCategory,
+    ResourceRegistry,
+    ResourceType
 };
@@ -20,6 +20,10 @@ function attributeEqual(a, b) {
         return false;
     }
 
+    if ((a.divisor || 0) !== (b.divisor || 0)) {
+        return false;
+    }
+
     return (a.stride === b.stride);
 }
 
@@ -92,6 +96,7 @@ export default class AttributeBuffer {
 
             attr.location = loop;
             attr.glType = attributeTypeToWebGL(gl, attr.type);
+            attr.divisor = typeof attr.divisor === 'number' ? attr.divisor : 0;
         }
 
         return buffer;
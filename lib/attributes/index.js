@@ -10,11 +10,14 @@ const registered = [];
 
 /**
  * @typedef {object} AttributeDesc
+ * @property {string} name - Name of the attribute within the vertex shader.
  * @property {number} size - Number of components in the attribute
  * @property {string} type - The type of the attribute.
  * @property {boolean} normalized - True if the data is normalized otherwise false.
  * @property {number} stride - Number of bytes to move to the next vertex
  * @property {number} offset - Offset from the start of the vertex where the data begins.
+ * @property {number=} divisor - Number of instances rendered before the attribute advances, zero (the default)
+ * advances the attribute per vertex. Non-zero values require instanced rendering support.
  */
 
 /**
@@ -1,24 +1,99 @@
 import BaseBuffer from './index';
+import {
+    IndexType,
+    indexTypeToWebGL,
+    indexTypeFromArray,
+    getIndexTypeSize,
+} from '../primitives';
 
 export default class ElementArrayBuffer extends BaseBuffer {
+    constructor() {
+        super();
+
+        this._indexType = IndexType.UInt16;
+        this._state = null; // State manager the buffer was last bound with, informed of index type changes
+    }
+
+    /**
+     * Releases any hardware resources referenced by this object.
+     */
+    dispose() {
+        super.dispose();
+        this._state = null;
+    }
+
     /**
      *
      * @param {WebGLRenderingContext} gl - The WebGL context to be used when creating the buffer.
      * @param {number} drawType - The type of data contained within the buffer.
+     * @param {IndexType=} indexType - The type of index stored in the buffer, if not specified the type is
+     * determined by the data supplied to bufferData (UInt16 is assumed until then).
      * @returns {ElementArrayBuffer} Reference to self, to allow for call chaining.
      */
-    initialize(gl, drawType) {
+    initialize(gl, drawType, indexType) {
+        if (indexType !== undefined) {
+            // Validates the index type before any resources are created
+            getIndexTypeSize(indexType);
+            this._indexType = indexType;
+        }
+
         super.initializeBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, drawType);
         return this;
     }
 
+    /**
+     * The type of index stored within the buffer.
+     * @returns {IndexType}
+     */
+    get indexType() {
+        return this._indexType;
+    }
+
+    /**
+     * The size (in bytes) of a single index stored within the buffer.
+     * @returns {number}
+     */
+    get indexSize() {
+        return getIndexTypeSize(this._indexType);
+    }
+
+    /**
+     * The WebGL type of the indices stored within the buffer (UNSIGNED_BYTE, UNSIGNED_SHORT or UNSIGNED_INT).
+     * @returns {number|null} The WebGL index type, or null if the buffer has not been initialized.
+     */
+    get glIndexType() {
+        return this._gl ? indexTypeToWebGL(this._gl, this._indexType) : null;
+    }
+
+    /**
+     * Creates and initializes the buffer objects data store.
+     * If the data is a Uint8Array, Uint16Array or Uint32Array the index type of the buffer is taken from the data.
+     * The buffer must be bound (see bind) before calling this method, if the index type changes the state manager
+     * the buffer was bound with is updated, so indexed draw calls use the new type.
+     * @param {ArrayBufferView|ArrayBuffer|number} data - The index data to be stored in the buffer.
+     * @returns {ElementArrayBuffer} Reference to self, to allow for call chaining.
+     */
+    bufferData(data) {
+        const indexType = indexTypeFromArray(data);
+        if (indexType !== undefined && indexType !== this._indexType) {
+            this._indexType = indexType;
+
+            if (this._state) {
+                this._state.bindElementArrayBuffer(this._id, indexType);
+            }
+        }
+
+        return super.bufferData(data);
+    }
+
     /**
      * Binds the array buffer to the current WebGL context.
      * @param {WebGLState} state - The state manager for the WebGL context in use.
      * @returns {ElementArrayBuffer} Reference to self to allow for call chaining.
      */
     bind(state) {
-        state.bindElementArrayBuffer(this.id);
+        this._state = state;
+        state.bindElementArrayBuffer(this.id, this._indexType);
         return this;
     }
 }
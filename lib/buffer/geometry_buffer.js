@@ -1,5 +1,11 @@
 import ArrayBuffer from './array_buffer';
 import { createAttributeBuffer } from '../attributes';
+import {
+    ResourceType,
+    trackResource,
+    untrackResource,
+    adoptResource,
+} from '../resources';
 
 /**
  * Contains the rendering information for a block of geometry.
@@ -27,6 +33,10 @@ export default class GeometryBuffer {
      * Releases all resources referenced by this object.
      */
     dispose() {
+        if (this.renderer) {
+            untrackResource(this.renderer.context, this);
+        }
+
         if (this.vao) {
             this.renderer.deleteVertexArray(this.vao);
             this.vao = null;
@@ -56,6 +66,7 @@ export default class GeometryBuffer {
         this.renderer = renderer;
 
         this.arrayBuffer.initialize(renderer.context, drawType);
+        adoptResource(renderer.context, this.arrayBuffer, this);
         this.attributeBuffer = createAttributeBuffer(renderer.context, attributes);
 
         if (renderer.supportsVAO) {
@@ -72,6 +83,37 @@ export default class GeometryBuffer {
             this.arrayBuffer.bufferData(data);
         }
 
+        trackResource(renderer.context, this, ResourceType.VertexArray);
+        return this;
+    }
+
+    /**
+     * Recreates the geometry after the WebGL context has been restored. The vertex data is uploaded again and,
+     * if supported, a new vertex array object is created. The array buffer is owned by the geometry buffer and
+     * is restored along with it.
+     * Geometry buffers that have not been initialized are ignored.
+     * @param {WebGLRenderingContext} gl - The restored WebGL rendering context.
+     * @returns {GeometryBuffer} Reference to self, to allow for call chaining.
+     */
+    restore(gl) {
+        if (!this.renderer) {
+            return this;
+        }
+
+        this.arrayBuffer.restore(gl);
+
+        if (this.renderer.supportsVAO) {
+            this.vao = this.renderer.createVertexArray();
+
+            this.renderer.state.bindVertexArray(this.vao);
+            this.renderer.state.bindArrayBuffer(this.arrayBuffer.id);
+            this.renderer.state.enableAttributes(this.attributeBuffer);
+
+            this.renderer.state.bindVertexArray(null);
+        } else {
+            this.vao = null;
+        }
+
         return this;
     }
 }
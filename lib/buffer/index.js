@@ -1,3 +1,5 @@
+import { ResourceType, trackResource, untrackResource } from '../resources';
+
 export const InvalidBufferId = null;
 
 /**
@@ -9,6 +11,7 @@ export default class BaseBuffer {
         this._bufferType = 0;
         this._drawType = 0;
         this._id = InvalidBufferId;
+        this._data = null; // Contents of the data store, retained so the buffer can be restored
     }
 
     /**
@@ -16,9 +19,11 @@ export default class BaseBuffer {
      */
     dispose() {
         if (this._gl) {
+            untrackResource(this._gl, this);
             this._gl.deleteBuffer(this._id);
 
             this._id = InvalidBufferId;
+            this._data = null;
             this._gl = null;
         }
     }
@@ -61,6 +66,7 @@ export default class BaseBuffer {
         this._drawType = drawType;
 
         this._id = gl.createBuffer();
+        trackResource(gl, this, ResourceType.Buffer);
 
         return this;
     }
@@ -76,6 +82,7 @@ export default class BaseBuffer {
         }
 
         this._gl.bufferData(this._bufferType, length, this._drawType);
+        this._data = length;
         return this;
     }
 
@@ -90,6 +97,46 @@ export default class BaseBuffer {
         }
 
         this._gl.bufferData(this._bufferType, data, this._drawType);
+        this._data = data;
+        return this;
+    }
+
+    /**
+     * Updates a subset of the buffer objects data store.
+     * @param {number} offset - Offset (in bytes) where the data replacement will start.
+     * @param {ArrayBufferView|ArrayBuffer} data - The data to be copied into the data store.
+     * @returns {BaseBuffer} Reference to self, to allow for call chaining.
+     */
+    bufferSubData(offset, data) {
+        if (!this._gl) {
+            throw new Error('No WebGL context available.');
+        }
+
+        this._gl.bufferSubData(this._bufferType, offset, data);
+        return this;
+    }
+
+    /**
+     * Recreates the buffer after the WebGL context has been restored. The data store is refilled with the data
+     * most recently supplied to bufferData (or the length supplied to reserve), changes made with bufferSubData
+     * are not retained. Buffers that have not been initialized are ignored.
+     * Note: The buffer is bound directly to the context, the state manager should be invalidated afterwards.
+     * @param {WebGLRenderingContext} gl - The restored WebGL rendering context.
+     * @returns {BaseBuffer} Reference to self, to allow for call chaining.
+     */
+    restore(gl) {
+        if (!this._gl) {
+            return this;
+        }
+
+        this._gl = gl;
+        this._id = gl.createBuffer();
+
+        if (this._data !== null) {
+            gl.bindBuffer(this._bufferType, this._id);
+            gl.bufferData(this._bufferType, this._data, this._drawType);
+        }
+
         return this;
     }
 }
@@ -0,0 +1,62 @@
+import BaseBuffer from './index';
+
+/**
+ * Represents a buffer containing the values of a uniform block (WebGL2 only).
+ *
+ * Data is uploaded through the generic binding point, the buffer is then made available to shader programs by
+ * binding it to a uniform buffer binding point:
+ *
+ * uniformBuffer.bind(state).bufferData(data);
+ * uniformBuffer.bindBase(state, 0);
+ * program.setUniformBlockBinding('Camera', 0);
+ */
+export default class UniformBuffer extends BaseBuffer {
+    /**
+     *
+     * @param {WebGL2RenderingContext} gl - The WebGL context to be used when creating the buffer.
+     * @param {number} drawType - The type of data contained within the buffer.
+     * @returns {UniformBuffer} Reference to self, to allow for call chaining.
+     */
+    initialize(gl, drawType) {
+        if (gl.UNIFORM_BUFFER === undefined) {
+            throw new Error('Uniform buffers require a WebGL2 context.');
+        }
+
+        super.initializeBuffer(gl, gl.UNIFORM_BUFFER, drawType);
+        return this;
+    }
+
+    /**
+     * Binds the uniform buffer to the generic uniform buffer binding point, ready for its data to be updated.
+     * @param {WebGLState} state - The state manager for the WebGL context in use.
+     * @returns {UniformBuffer} Reference to self to allow for call chaining.
+     */
+    bind(state) {
+        state.bindUniformBuffer(this.id);
+        return this;
+    }
+
+    /**
+     * Binds the entire uniform buffer to a uniform buffer binding point.
+     * @param {WebGLState} state - The state manager for the WebGL context in use.
+     * @param {number} index - The uniform buffer binding point.
+     * @returns {UniformBuffer} Reference to self to allow for call chaining.
+     */
+    bindBase(state, index) {
+        state.bindUniformBufferBase(index, this.id);
+        return this;
+    }
+
+    /**
+     * Binds a range of the uniform buffer to a uniform buffer binding point.
+     * @param {WebGLState} state - The state manager for the WebGL context in use.
+     * @param {number} index - The uniform buffer binding point.
+     * @param {number} offset - Offset (in bytes) of the range, must be a multiple of UNIFORM_BUFFER_OFFSET_ALIGNMENT.
+     * @param {number} size - Size (in bytes) of the range.
+     * @returns {UniformBuffer} Reference to self to allow for call chaining.
+     */
+    bindRange(state, index, offset, size) {
+        state.bindUniformBufferRange(index, this.id, offset, size);
+        return this;
+    }
+}
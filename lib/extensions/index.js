@@ -32,6 +32,7 @@ const Extension = {
     WEBGL_depth_texture: 'WEBGL_depth_texture',
     WEBGL_draw_buffers: 'WEBGL_draw_buffers',
     WEBGL_lose_context: 'WEBGL_lose_context',
+    WEBGL_multi_draw: 'WEBGL_multi_draw',
 };
 
 export default Extension;
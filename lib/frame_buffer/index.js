@@ -1,3 +1,5 @@
+import { ResourceType, trackResource, untrackResource } from '../resources';
+
 export const InvalidFrameBufferId = null;
 
 /**
@@ -7,6 +9,7 @@ export default class FrameBuffer {
     constructor() {
         this._gl = null;
         this._id = InvalidFrameBufferId;
+        this._colorAttachment = null; // Retained so the attachment can be restored after a context loss
     }
 
     /**
@@ -14,10 +17,12 @@ export default class FrameBuffer {
      */
     dispose() {
         if (this._id !== InvalidFrameBufferId) {
+            untrackResource(this._gl, this);
             this._gl.deleteFramebuffer(this._id);
             this._gl = null;
 
             this._id = InvalidFrameBufferId;
+            this._colorAttachment = null;
         }
     }
 
@@ -30,7 +35,31 @@ export default class FrameBuffer {
             throw new Error('FrameBuffer already initialized.');
         }
 
+        this._gl = gl;
         this._id = gl.createFramebuffer();
+        trackResource(gl, this, ResourceType.FrameBuffer);
+    }
+
+    /**
+     * Recreates the frame buffer after the WebGL context has been restored, the colour attachment is applied again.
+     * Any attached texture must be restored before the frame buffer. Frame buffers that have not been initialized
+     * are ignored.
+     * Note: The frame buffer is bound directly to the context, the state manager should be invalidated afterwards.
+     * @param {WebGLRenderingContext} gl - The restored WebGL rendering context.
+     */
+    restore(gl) {
+        if (this._id === InvalidFrameBufferId) {
+            return;
+        }
+
+        this._gl = gl;
+        this._id = gl.createFramebuffer();
+
+        if (this._colorAttachment) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this._id);
+            this.attachColor(gl, this._colorAttachment.texture, this._colorAttachment.level);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }
     }
 
     /**
@@ -50,6 +79,7 @@ export default class FrameBuffer {
 
         // See: https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/framebuffertexture2d
         gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture.id, level);
+        this._colorAttachment = { texture, level };
     }
 
     /**
@@ -22,3 +22,518 @@ export const DepthCompare = {
     GreaterEqual: 6,
     Always: 7,
 };
+
+/**
+ * Comparison functions used by the stencil test.
+ * See: https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/stencilFunc
+ */
+export const StencilCompare = {
+    Never: 0,
+    Less: 1,
+    Equal: 2,
+    NotEqual: 3,
+    LessEqual: 4,
+    Greater: 5,
+    GreaterEqual: 6,
+    Always: 7,
+};
+
+/**
+ * Operations applied to the stencil buffer depending on the outcome of the stencil and depth tests.
+ * See: https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/stencilOp
+ */
+export const StencilOp = {
+    Keep: 0,
+    Zero: 1,
+    Replace: 2,
+    Increment: 3,
+    IncrementWrap: 4,
+    Decrement: 5,
+    DecrementWrap: 6,
+    Invert: 7,
+};
+
+/**
+ * Identifies which polygon faces a stencil setting is applied to.
+ */
+export const StencilFace = {
+    Front: 0,
+    Back: 1,
+    FrontAndBack: 2,
+};
+
+/**
+ * Pre-defined blending configurations that cover the most common uses of the blend stage.
+ */
+export const BlendMode = {
+    None: 0,
+    Alpha: 1,
+    PremultipliedAlpha: 2,
+    Additive: 3,
+    Multiply: 4,
+};
+
+/**
+ * Factors that may be applied to the source and destination colours during blending.
+ * See: https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/blendFunc
+ */
+export const BlendFactor = {
+    Zero: 0,
+    One: 1,
+    SrcColor: 2,
+    OneMinusSrcColor: 3,
+    DstColor: 4,
+    OneMinusDstColor: 5,
+    SrcAlpha: 6,
+    OneMinusSrcAlpha: 7,
+    DstAlpha: 8,
+    OneMinusDstAlpha: 9,
+    ConstantColor: 10,
+    OneMinusConstantColor: 11,
+    ConstantAlpha: 12,
+    OneMinusConstantAlpha: 13,
+    SrcAlphaSaturate: 14,
+};
+
+/**
+ * Operations used to combine the source and destination colours during blending.
+ * Min and Max require either a WebGL2 context or the EXT_blend_minmax extension.
+ * See: https://developer.mozilla.org/en-US/docs/Web/API/WebGLRenderingContext/blendEquation
+ */
+export const BlendEquation = {
+    Add: 0,
+    Subtract: 1,
+    ReverseSubtract: 2,
+    Min: 3,
+    Max: 4,
+};
+
+/**
+ * Bit flags that select the buffers affected by a clear operation, flags may be combined (ClearFlags.Color |
+ * ClearFlags.Depth).
+ */
+export const ClearFlags = {
+    None: 0,
+    Color: 1,
+    Depth: 2,
+    Stencil: 4,
+    All: 7,
+};
+
+/**
+ * Data types that may be used to store the contents of an element array buffer.
+ * UInt32 requires either a WebGL2 context or the OES_element_index_uint extension.
+ */
+export const IndexType = {
+    UInt8: 0,
+    UInt16: 1,
+    UInt32: 2,
+};
+
+/**
+ * Converts a CullMode value into its WebGL equivalent.
+ * CullMode.None has no WebGL equivalent, face culling should be disabled instead.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {CullMode} mode - The cull mode to be converted.
+ * @returns {number} The WebGL value that represents the cull mode.
+ */
+export function cullModeToWebGL(gl, mode) {
+    switch (mode) {
+        case CullMode.Front:
+            return gl.FRONT;
+
+        case CullMode.Back:
+            return gl.BACK;
+
+        default:
+            throw new Error(`Unknown cull mode '${mode}'.`);
+    }
+}
+
+/**
+ * Converts a DepthCompare value into its WebGL equivalent.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {DepthCompare} compare - The depth comparison to be converted.
+ * @returns {number} The WebGL value that represents the depth comparison.
+ */
+export function depthCompareToWebGL(gl, compare) {
+    switch (compare) {
+        case DepthCompare.Never:
+            return gl.NEVER;
+
+        case DepthCompare.Less:
+            return gl.LESS;
+
+        case DepthCompare.Equal:
+            return gl.EQUAL;
+
+        case DepthCompare.NotEqual:
+            return gl.NOTEQUAL;
+
+        case DepthCompare.LessEqual:
+            return gl.LEQUAL;
+
+        case DepthCompare.Greater:
+            return gl.GREATER;
+
+        case DepthCompare.GreaterEqual:
+            return gl.GEQUAL;
+
+        case DepthCompare.Always:
+            return gl.ALWAYS;
+
+        default:
+            throw new Error('Unknown depth comparison.');
+    }
+}
+
+/**
+ * @typedef {object} BlendDesc
+ * @property {boolean} enabled - True if blending is enabled otherwise false.
+ * @property {BlendFactor} srcRGB - Factor applied to the source colour.
+ * @property {BlendFactor} dstRGB - Factor applied to the destination colour.
+ * @property {BlendFactor} srcAlpha - Factor applied to the source alpha.
+ * @property {BlendFactor} dstAlpha - Factor applied to the destination alpha.
+ * @property {BlendEquation} equationRGB - Equation used to combine the colour channels.
+ * @property {BlendEquation} equationAlpha - Equation used to combine the alpha channel.
+ */
+
+/**
+ * Retrieves the blend stage configuration represented by a BlendMode value.
+ * @param {BlendMode} mode - The blend mode whose configuration is to be retrieved.
+ * @returns {BlendDesc} Description of the blend stage for the specified mode.
+ */
+export function getBlendModeDesc(mode) {
+    const desc = {
+        enabled: true,
+        srcRGB: BlendFactor.One,
+        dstRGB: BlendFactor.Zero,
+        srcAlpha: BlendFactor.One,
+        dstAlpha: BlendFactor.Zero,
+        equationRGB: BlendEquation.Add,
+        equationAlpha: BlendEquation.Add,
+    };
+
+    switch (mode) {
+        case BlendMode.None:
+            desc.enabled = false;
+            break;
+
+        case BlendMode.Alpha:
+            desc.srcRGB = BlendFactor.SrcAlpha;
+            desc.dstRGB = BlendFactor.OneMinusSrcAlpha;
+            desc.dstAlpha = BlendFactor.OneMinusSrcAlpha;
+            break;
+
+        case BlendMode.PremultipliedAlpha:
+            desc.dstRGB = BlendFactor.OneMinusSrcAlpha;
+            desc.dstAlpha = BlendFactor.OneMinusSrcAlpha;
+            break;
+
+        case BlendMode.Additive:
+            desc.srcRGB = BlendFactor.SrcAlpha;
+            desc.dstRGB = BlendFactor.One;
+            desc.srcAlpha = BlendFactor.SrcAlpha;
+            desc.dstAlpha = BlendFactor.One;
+            break;
+
+        case BlendMode.Multiply:
+            desc.srcRGB = BlendFactor.DstColor;
+            desc.srcAlpha = BlendFactor.DstColor;
+            break;
+
+        default:
+            throw new Error('Unknown blend mode.');
+    }
+
+    return desc;
+}
+
+/**
+ * Converts a BlendFactor value into its WebGL equivalent.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {BlendFactor} factor - The blend factor to be converted.
+ * @returns {number} The WebGL value that represents the blend factor.
+ */
+export function blendFactorToWebGL(gl, factor) {
+    switch (factor) {
+        case BlendFactor.Zero:
+            return gl.ZERO;
+
+        case BlendFactor.One:
+            return gl.ONE;
+
+        case BlendFactor.SrcColor:
+            return gl.SRC_COLOR;
+
+        case BlendFactor.OneMinusSrcColor:
+            return gl.ONE_MINUS_SRC_COLOR;
+
+        case BlendFactor.DstColor:
+            return gl.DST_COLOR;
+
+        case BlendFactor.OneMinusDstColor:
+            return gl.ONE_MINUS_DST_COLOR;
+
+        case BlendFactor.SrcAlpha:
+            return gl.SRC_ALPHA;
+
+        case BlendFactor.OneMinusSrcAlpha:
+            return gl.ONE_MINUS_SRC_ALPHA;
+
+        case BlendFactor.DstAlpha:
+            return gl.DST_ALPHA;
+
+        case BlendFactor.OneMinusDstAlpha:
+            return gl.ONE_MINUS_DST_ALPHA;
+
+        case BlendFactor.ConstantColor:
+            return gl.CONSTANT_COLOR;
+
+        case BlendFactor.OneMinusConstantColor:
+            return gl.ONE_MINUS_CONSTANT_COLOR;
+
+        case BlendFactor.ConstantAlpha:
+            return gl.CONSTANT_ALPHA;
+
+        case BlendFactor.OneMinusConstantAlpha:
+            return gl.ONE_MINUS_CONSTANT_ALPHA;
+
+        case BlendFactor.SrcAlphaSaturate:
+            return gl.SRC_ALPHA_SATURATE;
+
+        default:
+            throw new Error(`Unknown blend factor '${factor}'.`);
+    }
+}
+
+/**
+ * Converts a BlendEquation value into its WebGL equivalent.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {BlendEquation} equation - The blend equation to be converted.
+ * @param {object=} minmax - The EXT_blend_minmax extension object, required for Min and Max on WebGL1 devices.
+ * @returns {number} The WebGL value that represents the blend equation.
+ */
+export function blendEquationToWebGL(gl, equation, minmax) {
+    switch (equation) {
+        case BlendEquation.Add:
+            return gl.FUNC_ADD;
+
+        case BlendEquation.Subtract:
+            return gl.FUNC_SUBTRACT;
+
+        case BlendEquation.ReverseSubtract:
+            return gl.FUNC_REVERSE_SUBTRACT;
+
+        case BlendEquation.Min:
+            if (gl.MIN !== undefined) {
+                return gl.MIN;
+            }
+
+            if (!minmax) {
+                throw new Error('Blend equation Min requires the EXT_blend_minmax extension.');
+            }
+
+            return minmax.MIN_EXT;
+
+        case BlendEquation.Max:
+            if (gl.MAX !== undefined) {
+                return gl.MAX;
+            }
+
+            if (!minmax) {
+                throw new Error('Blend equation Max requires the EXT_blend_minmax extension.');
+            }
+
+            return minmax.MAX_EXT;
+
+        default:
+            throw new Error(`Unknown blend equation '${equation}'.`);
+    }
+}
+
+/**
+ * Converts a StencilCompare value into its WebGL equivalent.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {StencilCompare} compare - The stencil comparison to be converted.
+ * @returns {number} The WebGL value that represents the stencil comparison.
+ */
+export function stencilCompareToWebGL(gl, compare) {
+    switch (compare) {
+        case StencilCompare.Never:
+            return gl.NEVER;
+
+        case StencilCompare.Less:
+            return gl.LESS;
+
+        case StencilCompare.Equal:
+            return gl.EQUAL;
+
+        case StencilCompare.NotEqual:
+            return gl.NOTEQUAL;
+
+        case StencilCompare.LessEqual:
+            return gl.LEQUAL;
+
+        case StencilCompare.Greater:
+            return gl.GREATER;
+
+        case StencilCompare.GreaterEqual:
+            return gl.GEQUAL;
+
+        case StencilCompare.Always:
+            return gl.ALWAYS;
+
+        default:
+            throw new Error(`Unknown stencil comparison '${compare}'.`);
+    }
+}
+
+/**
+ * Converts a StencilOp value into its WebGL equivalent.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {StencilOp} op - The stencil operation to be converted.
+ * @returns {number} The WebGL value that represents the stencil operation.
+ */
+export function stencilOpToWebGL(gl, op) {
+    switch (op) {
+        case StencilOp.Keep:
+            return gl.KEEP;
+
+        case StencilOp.Zero:
+            return gl.ZERO;
+
+        case StencilOp.Replace:
+            return gl.REPLACE;
+
+        case StencilOp.Increment:
+            return gl.INCR;
+
+        case StencilOp.IncrementWrap:
+            return gl.INCR_WRAP;
+
+        case StencilOp.Decrement:
+            return gl.DECR;
+
+        case StencilOp.DecrementWrap:
+            return gl.DECR_WRAP;
+
+        case StencilOp.Invert:
+            return gl.INVERT;
+
+        default:
+            throw new Error(`Unknown stencil operation '${op}'.`);
+    }
+}
+
+/**
+ * Converts a StencilFace value into its WebGL equivalent.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {StencilFace} face - The face selection to be converted.
+ * @returns {number} The WebGL value that represents the face selection.
+ */
+export function stencilFaceToWebGL(gl, face) {
+    switch (face) {
+        case StencilFace.Front:
+            return gl.FRONT;
+
+        case StencilFace.Back:
+            return gl.BACK;
+
+        case StencilFace.FrontAndBack:
+            return gl.FRONT_AND_BACK;
+
+        default:
+            throw new Error(`Unknown stencil face '${face}'.`);
+    }
+}
+
+/**
+ * Converts an IndexType value into its WebGL equivalent.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {IndexType} type - The index type to be converted.
+ * @returns {number} The WebGL value that represents the index type.
+ */
+export function indexTypeToWebGL(gl, type) {
+    switch (type) {
+        case IndexType.UInt8:
+            return gl.UNSIGNED_BYTE;
+
+        case IndexType.UInt16:
+            return gl.UNSIGNED_SHORT;
+
+        case IndexType.UInt32:
+            return gl.UNSIGNED_INT;
+
+        default:
+            throw new Error(`Unknown index type '${type}'.`);
+    }
+}
+
+/**
+ * Retrieves the size (in bytes) of a single index of the specified type.
+ * @param {IndexType} type - The index type whose size is to be retrieved.
+ * @returns {number} The number of bytes used by each index.
+ */
+export function getIndexTypeSize(type) {
+    switch (type) {
+        case IndexType.UInt8:
+            return 1;
+
+        case IndexType.UInt16:
+            return 2;
+
+        case IndexType.UInt32:
+            return 4;
+
+        default:
+            throw new Error(`Unknown index type '${type}'.`);
+    }
+}
+
+/**
+ * Determines the index type represented by a typed array.
+ * @param {ArrayBufferView} data - The index data whose type is to be determined.
+ * @returns {IndexType|undefined} The index type of the data or undefined if it cannot be determined.
+ */
+export function indexTypeFromArray(data) {
+    if (data instanceof Uint8Array) {
+        return IndexType.UInt8;
+    }
+
+    if (data instanceof Uint16Array) {
+        return IndexType.UInt16;
+    }
+
+    if (data instanceof Uint32Array) {
+        return IndexType.UInt32;
+    }
+
+    return undefined;
+}
+
+/**
+ * Converts a combination of ClearFlags into the equivalent WebGL buffer bits.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {number} flags - Combination of ClearFlags values.
+ * @returns {number} The WebGL buffer bits that represent the flags.
+ */
+export function clearFlagsToWebGL(gl, flags) {
+    /* eslint-disable no-bitwise */
+    let mask = 0;
+
+    if (flags & ClearFlags.Color) {
+        mask |= gl.COLOR_BUFFER_BIT;
+    }
+
+    if (flags & ClearFlags.Depth) {
+        mask |= gl.DEPTH_BUFFER_BIT;
+    }
+
+    if (flags & ClearFlags.Stencil) {
+        mask |= gl.STENCIL_BUFFER_BIT;
+    }
+
+    return mask;
+    /* eslint-enable no-bitwise */
+}
@@ -0,0 +1,170 @@
+/**
+ * This file contains the reflection of the active vertex attributes within a linked program, along with the
+ * validation of an attribute layout (the AttributeDesc list used by a GeometryBuffer) against them.
+ *
+ * Attribute buffers assign each attribute the location matching its index within the AttributeDesc list, so a layout
+ * matches a program when every active attribute is found at the location the program expects it.
+ */
+
+/**
+ * @typedef {object} AttributeInfo
+ * @property {string} name - Name of the attribute within the shader.
+ * @property {number} type - The WebGL type of the attribute (such as FLOAT_VEC3).
+ * @property {number} size - Number of array elements of the attribute, usually 1.
+ * @property {number} location - Location of the attribute within the program.
+ * @property {number} components - Number of components read from each location.
+ * @property {number} locations - Number of locations occupied by each element (matrices use one per column).
+ * @property {boolean} integer - True if the shader expects integer data (WebGL2 only).
+ */
+
+/**
+ * @typedef {object} AttributeMismatch
+ * @property {string} name - Name of the attribute.
+ * @property {string} reason - Description of the mismatch.
+ */
+
+/**
+ * @typedef {object} AttributeValidation
+ * @property {boolean} valid - True if the layout supplies every attribute used by the program otherwise false.
+ * @property {string[]} missing - Names of attributes used by the program but not supplied by the layout.
+ * @property {AttributeMismatch[]} mismatched - Attributes supplied by the layout that do not match the program.
+ * @property {string[]} unused - Names of attributes supplied by the layout that are not used by the program.
+ */
+
+// Names of the attribute types along with the components, locations and integer flag of each
+const ATTRIBUTE_TYPES = [
+    ['FLOAT', 1, 1, false],
+    ['FLOAT_VEC2', 2, 1, false],
+    ['FLOAT_VEC3', 3, 1, false],
+    ['FLOAT_VEC4', 4, 1, false],
+    ['FLOAT_MAT2', 2, 2, false],
+    ['FLOAT_MAT3', 3, 3, false],
+    ['FLOAT_MAT4', 4, 4, false],
+    ['FLOAT_MAT2x3', 3, 2, false],
+    ['FLOAT_MAT2x4', 4, 2, false],
+    ['FLOAT_MAT3x2', 2, 3, false],
+    ['FLOAT_MAT3x4', 4, 3, false],
+    ['FLOAT_MAT4x2', 2, 4, false],
+    ['FLOAT_MAT4x3', 3, 4, false],
+    ['INT', 1, 1, true],
+    ['INT_VEC2', 2, 1, true],
+    ['INT_VEC3', 3, 1, true],
+    ['INT_VEC4', 4, 1, true],
+    ['UNSIGNED_INT', 1, 1, true],
+    ['UNSIGNED_INT_VEC2', 2, 1, true],
+    ['UNSIGNED_INT_VEC3', 3, 1, true],
+    ['UNSIGNED_INT_VEC4', 4, 1, true],
+];
+
+/**
+ * Retrieves the description of an attribute type.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {number} type - The WebGL type of the attribute.
+ * @returns {{components: number, locations: number, integer: boolean}} Description of the attribute type.
+ */
+function getAttributeType(gl, type) {
+    const entry = ATTRIBUTE_TYPES.find(([name]) => gl[name] !== undefined && gl[name] === type);
+
+    return entry
+        ? { components: entry[1], locations: entry[2], integer: entry[3] }
+        : { components: 4, locations: 1, integer: false };
+}
+
+/**
+ * Reads the active vertex attributes of a linked program.
+ * Built-in inputs (such as gl_VertexID) are not included, as they are not supplied by vertex buffers.
+ * @param {WebGLRenderingContext} gl - The rendering context the program belongs to.
+ * @param {WebGLProgram} program - The linked program to be reflected.
+ * @returns {Map<string, AttributeInfo>} Map of attribute names to their description.
+ */
+export function reflectAttributes(gl, program) {
+    const attributes = new Map();
+    const count = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES) || 0;
+
+    for (let index = 0; index < count; ++index) {
+        const info = gl.getActiveAttrib(program, index);
+
+        if (info && info.name.indexOf('gl_') !== 0) {
+            const location = gl.getAttribLocation(program, info.name);
+
+            if (location !== -1) {
+                const { components, locations, integer } = getAttributeType(gl, info.type);
+
+                attributes.set(info.name, {
+                    name: info.name,
+                    type: info.type,
+                    size: info.size,
+                    location,
+                    components,
+                    locations,
+                    integer,
+                });
+            }
+        }
+    }
+
+    return attributes;
+}
+
+/**
+ * Compares an attribute layout with the active attributes of a program.
+ *
+ * An attribute is missing if no entry in the layout shares its name. An entry is mismatched if it is found at a
+ * location other than the one used by the program, supplies more components than the shader reads or supplies
+ * float data to an integer input. Supplying fewer components than the shader reads is allowed, WebGL fills the
+ * remaining components with (0, 0, 0, 1).
+ * @param {Map<string, AttributeInfo>} attributes - The active attributes of the program.
+ * @param {AttributeDesc[]} layout - The attribute layout to be validated, each entry uses the location of its index.
+ * @returns {AttributeValidation} The result of the validation.
+ */
+export function validateAttributeLayout(attributes, layout) {
+    const missing = [];
+    const mismatched = [];
+
+    attributes.forEach((attribute) => {
+        const location = layout.findIndex((desc) => desc.name === attribute.name);
+        if (location === -1) {
+            missing.push(attribute.name);
+            return;
+        }
+
+        const desc = layout[location];
+
+        if (location !== attribute.location) {
+            mismatched.push({
+                name: attribute.name,
+                reason: `supplied at location ${location} but the program reads location ${attribute.location}`,
+            });
+        } else if (desc.size > attribute.components) {
+            mismatched.push({
+                name: attribute.name,
+                reason: `supplies ${desc.size} components but the program reads ${attribute.components}`,
+            });
+        } else if (attribute.integer) {
+            mismatched.push({
+                name: attribute.name,
+                reason: 'the program reads integer data, which cannot be supplied by an attribute buffer',
+            });
+        } else if (attribute.locations > 1) {
+            // Each column of a matrix occupies its own location, so the following entries supply the other columns
+            const columns = layout.slice(location, location + attribute.locations * attribute.size);
+            if (columns.length < attribute.locations * attribute.size) {
+                mismatched.push({
+                    name: attribute.name,
+                    reason: `requires ${attribute.locations * attribute.size} consecutive locations`,
+                });
+            }
+        }
+    });
+
+    const unused = layout
+        .filter((desc) => desc.name && !attributes.has(desc.name))
+        .map((desc) => desc.name);
+
+    return {
+        valid: missing.length === 0 && mismatched.length === 0,
+        missing,
+        mismatched,
+        unused,
+    };
+}
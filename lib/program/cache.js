@@ -0,0 +1,222 @@
+import Program from './index';
+import Shader from '../shader';
+import preprocessShader from '../shader/preprocessor';
+
+/**
+ * @typedef {object} CachedShader
+ * @property {number} id - Identifier of the cache entry, used to build program keys.
+ * @property {string} key - Key of the entry, the shader type and its final (preprocessed) source.
+ * @property {Shader} shader - The compiled shader.
+ * @property {number} references - Number of cached programs using the shader.
+ */
+
+/**
+ * @typedef {object} CachedProgram
+ * @property {string} key - Key of the entry, built from the shader entries and attribute bindings.
+ * @property {Program} program - The linked program.
+ * @property {number} references - Number of times the program has been acquired and not released.
+ * @property {CachedShader} vertex - The vertex shader entry used by the program.
+ * @property {CachedShader} fragment - The fragment shader entry used by the program.
+ */
+
+/**
+ * Shares programs (and their shaders) between users that request the same shader source.
+ *
+ * Shaders are keyed by their type and final source, after preprocessing, so shaders produced from different source
+ * or defines are still shared if the resulting source is identical. Programs are keyed by their shaders and the
+ * names of the attributes bound before linking. Programs are reference counted, each call to acquire must be matched
+ * by a call to release and the GPU objects are deleted when the last reference is released. Programs retrieved from
+ * the cache must not be disposed directly.
+ */
+export default class ProgramCache {
+    /**
+     * @param {WebGLRenderingContext} gl - The rendering context programs are to be created on.
+     */
+    constructor(gl) {
+        if (!gl) {
+            throw new Error('Cannot create program cache without context.');
+        }
+
+        this._gl = gl;
+        this._nextShaderId = 0;
+        this._shaders = new Map();
+        this._programs = new Map();
+        this._entries = new Map();
+    }
+
+    /**
+     * Disposes every program and shader in the cache, regardless of their reference count.
+     */
+    dispose() {
+        this._programs.forEach((entry) => entry.program.dispose());
+        this._shaders.forEach((entry) => entry.shader.dispose());
+
+        this._programs.clear();
+        this._shaders.clear();
+        this._entries.clear();
+    }
+
+    /**
+     * The number of programs currently held by the cache.
+     * @returns {number}
+     */
+    get size() {
+        return this._programs.size;
+    }
+
+    /**
+     * The number of compiled shaders currently held by the cache.
+     * @returns {number}
+     */
+    get shaderCount() {
+        return this._shaders.size;
+    }
+
+    /**
+     * Retrieves a program using the specified shader source, creating it if it is not already cached.
+     * The arguments match those of Program.initialize.
+     * @param {string} vertexShaderSource - Source code for the vertex shader.
+     * @param {string} fragmentShaderSource - Source code for the fragment shader.
+     * @param {AttributeDesc[]=} attributes - The attribute layout the program is to be used with.
+     * @param {PreprocessOptions=} options - Options for the shader preprocessor, used for both shaders.
+     * @returns {Program} The shared program, which must be returned with release when it is no longer required.
+     * @throws {ShaderCompileError} If either shader fails to compile.
+     * @throws {ProgramLinkError} If the program fails to link.
+     */
+    acquire(vertexShaderSource, fragmentShaderSource, attributes, options) {
+        if (!vertexShaderSource || !fragmentShaderSource) {
+            throw new Error('ProgramCache.acquire - Both shader sources must be supplied.');
+        }
+
+        const { defines, library } = options || {};
+        const vertexOptions = options ? { defines, library, name: 'vertex' } : null;
+        const fragmentOptions = options ? { defines, library, name: 'fragment' } : null;
+
+        const vertex = this._getShader(this._gl.VERTEX_SHADER, vertexShaderSource, vertexOptions);
+        let fragment = null;
+
+        try {
+            fragment = this._getShader(this._gl.FRAGMENT_SHADER, fragmentShaderSource, fragmentOptions);
+        } catch (err) {
+            this._releaseUnusedShader(vertex);
+            throw err;
+        }
+
+        const bindings = attributes ? attributes.map((desc) => desc.name).join(',') : '';
+        const key = `${vertex.id}:${fragment.id}:${bindings}`;
+
+        let entry = this._programs.get(key);
+        if (!entry) {
+            const program = new Program();
+
+            try {
+                program.initializeWithShaders(this._gl, vertex.shader, fragment.shader, attributes, options);
+            } catch (err) {
+                this._releaseUnusedShader(vertex);
+                this._releaseUnusedShader(fragment);
+                throw err;
+            }
+
+            vertex.references++;
+            fragment.references++;
+
+            entry = {
+                key,
+                program,
+                references: 0,
+                vertex,
+                fragment,
+            };
+
+            this._programs.set(key, entry);
+            this._entries.set(program, entry);
+        }
+
+        entry.references++;
+        return entry.program;
+    }
+
+    /**
+     * Returns a program retrieved with acquire. When the last reference is released the program is disposed, along
+     * with any shaders no longer used by another program.
+     * @param {Program} program - The program to be released.
+     * @returns {boolean} True if the program was held by the cache otherwise false.
+     */
+    release(program) {
+        const entry = this._entries.get(program);
+        if (!entry) {
+            return false;
+        }
+
+        entry.references--;
+        if (entry.references === 0) {
+            this._programs.delete(entry.key);
+            this._entries.delete(program);
+            program.dispose();
+
+            entry.vertex.references--;
+            entry.fragment.references--;
+            this._releaseUnusedShader(entry.vertex);
+            this._releaseUnusedShader(entry.fragment);
+        }
+
+        return true;
+    }
+
+    /**
+     * Retrieves the number of outstanding references to a program held by the cache.
+     * @param {Program} program - The program to be checked.
+     * @returns {number} The number of references, 0 if the program is not held by the cache.
+     */
+    getReferenceCount(program) {
+        const entry = this._entries.get(program);
+        return entry ? entry.references : 0;
+    }
+
+    /**
+     * Retrieves the cache entry of a shader, compiling the shader if it is not already cached.
+     * @param {number} type - The type of shader, either VERTEX_SHADER or FRAGMENT_SHADER.
+     * @param {string} source - The source code of the shader.
+     * @param {PreprocessOptions|null} options - Options for the shader preprocessor.
+     * @returns {CachedShader} The cache entry of the shader.
+     * @private
+     */
+    _getShader(type, source, options) {
+        const result = options ? preprocessShader(source, options) : null;
+        const key = `${type}:${result ? result.source : source}`;
+
+        let entry = this._shaders.get(key);
+        if (!entry) {
+            const shader = new Shader();
+
+            if (result) {
+                shader.initializePreprocessed(this._gl, type, result);
+            } else {
+                shader.initialize(this._gl, type, source);
+            }
+
+            entry = {
+                id: ++this._nextShaderId,
+                key,
+                shader,
+                references: 0,
+            };
+
+            this._shaders.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Disposes a cached shader if it is no longer used by any program.
+     * @param {CachedShader} entry - The cache entry of the shader.
+     * @private
+     */
+    _releaseUnusedShader(entry) {
+        if (entry.references === 0 && this._shaders.get(entry.key) === entry) {
+            this._shaders.delete(entry.key);
+            entry.shader.dispose();
+        }
+    }
+}
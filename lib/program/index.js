@@ -4,9 +4,19 @@
  * @property {string} name - Name associated with the vertex attribute.
  */
 
-import Shader from '../shader';
+import Shader, { InvalidShader } from '../shader';
 import { attributeTypeToWebGL } from '../attributes/type';
 import { createAttributeBuffer } from '../attributes';
+import {
+    ResourceType,
+    trackResource,
+    untrackResource,
+    adoptResource,
+} from '../resources';
+import { reflectUniforms, uploadUniform } from './uniforms';
+import { reflectAttributes, validateAttributeLayout } from './attributes';
+import { getVariantKey } from '../shader/preprocessor';
+import ProgramLinkError from './link_error';
 
 export const InvalidProgramId = null;
 
@@ -15,7 +25,7 @@ export const InvalidProgramId = null;
  *
  * When wishing to render using the shader program, you should use the WebGLState object.
  *
- * state.useProgram(program.id);
+ * program.use(state);
  * state.enableAttributes(program.attributeBuffer);
  *
  * Attribute management may be moved out of this library, as it seems a little more higher level than this library
@@ -28,6 +38,21 @@ export default class Program {
         this._attributeBinding = [];
         this._vertexShader = new Shader();
         this._fragmentShader = new Shader();
+        this._ownsShaders = true; // False when the shaders are shared with other programs (see ProgramCache)
+        this._state = null; // State manager the program was last used with, see use
+
+        // Description of the program, retained so it can be restored after a context loss
+        this._vertexShaderSource = null;
+        this._fragmentShaderSource = null;
+        this._attributes = null;
+        this._uniformBlockBindings = new Map();
+        this._variantKey = '';
+
+        // Active uniforms and attributes, reflected whenever the program is linked
+        this._uniforms = new Map();
+        this._uniformWarnings = new Set();
+        this._activeAttributes = new Map();
+        this._layoutValidation = new WeakMap();
     }
 
     /**
@@ -37,8 +62,14 @@ export default class Program {
      * vertex shader will be created.
      * @param {string=} fragmentShaderSource - Source code for the fragment shader, if not specified no
      * fragment shader will be created.
+     * @param {AttributeDesc[]=} attributes - The attribute layout the program is to be used with. If specified, each
+     * attribute is bound to the location of its index (by name) before the program is linked.
+     * @param {PreprocessOptions=} options - Options for the shader preprocessor, used for both shaders. If not
+     * specified the shader source is compiled as supplied.
+     * @throws {ShaderCompileError} If either shader fails to compile.
+     * @throws {ProgramLinkError} If the program fails to link.
      */
-    initialize(gl, vertexShaderSource, fragmentShaderSource) {
+    initialize(gl, vertexShaderSource, fragmentShaderSource, attributes, options) {
         if (!gl) {
             throw new Error('Program.initialize - No WebGL context was specified.');
         }
@@ -47,28 +78,170 @@ export default class Program {
             throw new Error('Program.initialize - Program has already been initialized.');
         }
 
+        this._vertexShaderSource = vertexShaderSource || null;
+        this._fragmentShaderSource = fragmentShaderSource || null;
+        this._attributes = attributes || null;
+        this._variantKey = options ? getVariantKey(options.defines) : '';
+
+        const { defines, library } = options || {};
+        const vertexOptions = options ? { defines, library, name: 'vertex' } : null;
+        const fragmentOptions = options ? { defines, library, name: 'fragment' } : null;
+
+        try {
+            if (vertexShaderSource) {
+                this._vertexShader.initialize(gl, gl.VERTEX_SHADER, vertexShaderSource, vertexOptions);
+                adoptResource(gl, this._vertexShader, this);
+            }
+
+            if (fragmentShaderSource) {
+                this._fragmentShader.initialize(gl, gl.FRAGMENT_SHADER, fragmentShaderSource, fragmentOptions);
+                adoptResource(gl, this._fragmentShader, this);
+            }
+        } catch (err) {
+            // The shader that failed has already disposed itself, the other may have compiled successfully
+            this._vertexShader.dispose();
+            this._fragmentShader.dispose();
+            this._vertexShaderSource = null;
+            this._fragmentShaderSource = null;
+            this._attributes = null;
+            this._variantKey = '';
+            throw err;
+        }
+
+        this._link(gl);
+        trackResource(gl, this, ResourceType.Program);
+    }
+
+    /**
+     * Prepares the GPU program using shaders that have already been compiled, this allows shaders to be shared
+     * between programs. The shaders are not owned by the program, they are not disposed along with the program and
+     * must be restored by their owner after a context loss.
+     * @param {WebGLRenderingContext} gl
+     * @param {Shader} vertexShader - The compiled vertex shader.
+     * @param {Shader} fragmentShader - The compiled fragment shader.
+     * @param {AttributeDesc[]=} attributes - The attribute layout the program is to be used with. If specified, each
+     * attribute is bound to the location of its index (by name) before the program is linked.
+     * @param {PreprocessOptions=} options - The preprocessor options the shaders were compiled with, used to
+     * determine the variant key of the program.
+     * @throws {ProgramLinkError} If the program fails to link.
+     */
+    initializeWithShaders(gl, vertexShader, fragmentShader, attributes, options) {
+        if (!gl) {
+            throw new Error('Program.initializeWithShaders - No WebGL context was specified.');
+        }
+
+        if (this._gl) {
+            throw new Error('Program.initializeWithShaders - Program has already been initialized.');
+        }
+
+        if (!vertexShader || !fragmentShader) {
+            throw new Error('Program.initializeWithShaders - Both shaders must be supplied.');
+        }
+
+        this._vertexShader = vertexShader;
+        this._fragmentShader = fragmentShader;
+        this._ownsShaders = false;
+        this._attributes = attributes || null;
+        this._variantKey = options ? getVariantKey(options.defines) : '';
+
+        this._link(gl);
+        trackResource(gl, this, ResourceType.Program);
+    }
+
+    /**
+     * Recreates the program after the WebGL context has been restored. The shaders are recompiled from their
+     * source code and the attribute layout and uniform block bindings are applied again.
+     * Programs that have not been initialized are ignored. Shared shaders are not restored by the program, as they
+     * are restored by their owner.
+     * @param {WebGLRenderingContext} gl - The restored WebGL rendering context.
+     */
+    restore(gl) {
+        if (!this._gl) {
+            return;
+        }
+
+        if (this._ownsShaders) {
+            this._vertexShader.restore(gl);
+            this._fragmentShader.restore(gl);
+        }
+
+        this._link(gl);
+
+        if (this._attributes) {
+            this.setAttributes(this._attributes);
+        }
+    }
+
+    /**
+     * Creates the WebGL program object and links it with the compiled shaders.
+     * @param {WebGLRenderingContext} gl - The WebGL context the program is to be created on.
+     * @private
+     */
+    _link(gl) {
         this._id = gl.createProgram();
         this._gl = gl;
 
-        if (vertexShaderSource) {
-            this._vertexShader.initialize(gl, gl.VERTEX_SHADER, vertexShaderSource);
+        if (this._vertexShader.id !== InvalidShader) {
             gl.attachShader(this.id, this._vertexShader.id);
         }
 
-        if (fragmentShaderSource) {
-            this._fragmentShader.initialize(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
+        if (this._fragmentShader.id !== InvalidShader) {
             gl.attachShader(this.id, this._fragmentShader.id);
         }
 
+        // Attribute locations only take effect when the program is linked, so they are bound beforehand
+        if (this._attributes) {
+            this._attributes.forEach((desc, index) => {
+                if (desc.name) {
+                    gl.bindAttribLocation(this.id, index, desc.name);
+                }
+            });
+        }
+
         gl.linkProgram(this.id);
+        this._completeLink();
+    }
 
-        if (gl.getProgramParameter(this.id, gl.LINK_STATUS) === false) {
-            /* eslint-disable no-console */
-            console.error('Program compile error.');
-            console.error(gl.getProgramInfoLog(this.id));
-            /* eslint-enable no-console */
+    /**
+     * Checks the result of linking the program and reflects the active uniforms and attributes. Linking resets the
+     * uniform block bindings, so any bindings assigned with setUniformBlockBinding are applied again.
+     * @throws {ProgramLinkError} If the program failed to link, the program is disposed before the error is thrown.
+     * @private
+     */
+    _completeLink() {
+        if (this._gl.getProgramParameter(this.id, this._gl.LINK_STATUS) === false) {
+            const error = new ProgramLinkError(this._gl.getProgramInfoLog(this.id));
 
             this.dispose();
+            throw error;
+        }
+
+        this._reflect();
+        this._uniformBlockBindings.forEach((bindingPoint, name) => this.setUniformBlockBinding(name, bindingPoint));
+    }
+
+    /**
+     * Reads the active uniforms and attributes of the program, this must be performed whenever the program is
+     * linked as linking invalidates the uniform locations and resets the uniform values.
+     * @private
+     */
+    _reflect() {
+        this._uniforms = reflectUniforms(this._gl, this._id);
+        this._uniformWarnings.clear();
+        this._activeAttributes = reflectAttributes(this._gl, this._id);
+        this._layoutValidation = new WeakMap();
+    }
+
+    /**
+     * Reports a problem with a uniform assignment, each problem is only reported once per link to avoid flooding
+     * the console when uniforms are assigned every frame.
+     * @param {string} message - Description of the problem.
+     * @private
+     */
+    _warnUniform(message) {
+        if (!this._uniformWarnings.has(message)) {
+            this._uniformWarnings.add(message);
+            console.warn(message); // eslint-disable-line no-console
         }
     }
 
@@ -77,13 +250,31 @@ export default class Program {
      */
     dispose() {
         if (this._gl) {
+            untrackResource(this._gl, this);
             this._gl.deleteProgram(this._id);
 
-            this._fragmentShader.dispose();
-            this._vertexShader.dispose();
+            if (this._ownsShaders) {
+                this._fragmentShader.dispose();
+                this._vertexShader.dispose();
+            } else {
+                this._vertexShader = new Shader();
+                this._fragmentShader = new Shader();
+                this._ownsShaders = true;
+            }
 
             this._id = InvalidProgramId;
             this._gl = null;
+            this._state = null;
+
+            this._vertexShaderSource = null;
+            this._fragmentShaderSource = null;
+            this._attributes = null;
+            this._variantKey = '';
+            this._uniformBlockBindings.clear();
+            this._uniforms = new Map();
+            this._uniformWarnings.clear();
+            this._activeAttributes = new Map();
+            this._layoutValidation = new WeakMap();
         }
     }
 
@@ -95,8 +286,44 @@ export default class Program {
         return this._id;
     }
 
+    /**
+     * Makes the program the one in use by the WebGL context.
+     * The state manager is remembered, so setUniform can verify the program is in use without querying the context.
+     * @param {WebGLState} state - The state manager for the WebGL context in use.
+     * @returns {Program} Reference to self, to allow for call chaining.
+     */
+    use(state) {
+        this._state = state;
+        state.useProgram(this._id);
+        return this;
+    }
+
+    /**
+     * Determines whether or not the program is the one in use by the WebGL context.
+     * If the program has not been used through use, the context is queried.
+     * @returns {boolean} True if the program is in use otherwise false.
+     * @private
+     */
+    _isCurrent() {
+        if (this._state) {
+            return this._state.program === this._id;
+        }
+
+        return this._gl.getParameter(this._gl.CURRENT_PROGRAM) === this._id;
+    }
+
+    /**
+     * Retrieves the key identifying the set of defines the program was created with (see getVariantKey).
+     * @returns {string} The variant key, an empty string if the program was created without defines.
+     */
+    get variantKey() {
+        return this._variantKey;
+    }
+
     /**
      * Creates an attribute buffer based on the active attributes within the program.
+     * Attributes whose location does not match their index are bound and the program is linked again, this can be
+     * avoided by supplying the attributes when the program is initialized.
      *
      * Note: Pretty sure attributes should not be a part of the program object. Will be reviewed in the future.
      *
@@ -110,6 +337,8 @@ export default class Program {
 
         let rebind = false;
 
+        this._attributes = attributes;
+
         this._attributeBinding = attributes.map((desc, index) => {
             const glType = attributeTypeToWebGL(this._gl, desc.type);
             const stride = typeof desc.stride === 'number' ? desc.stride : 0;
@@ -118,8 +347,8 @@ export default class Program {
                 throw new Error('Expected offset in attribute description.');
             }
 
-            const location = this.getAttributeLocation(desc.name);
-            if (location !== index) {
+            const active = this._activeAttributes.get(desc.name);
+            if (active && active.location !== index) {
                 rebind = true;
                 this._gl.bindAttribLocation(this.id, index, desc.name);
             }
@@ -130,12 +359,14 @@ export default class Program {
                 type: glType,
                 normalized: typeof desc.normalized === 'boolean' ? desc.normalized : false,
                 offset: desc.offset,
+                divisor: typeof desc.divisor === 'number' ? desc.divisor : 0,
                 stride,
             };
         });
 
         if (rebind) {
             this._gl.linkProgram(this.id);
+            this._completeLink();
         }
 
         createAttributeBuffer(this._gl, attributes);
@@ -150,6 +381,63 @@ export default class Program {
         return this._gl.getAttribLocation(this.id, name);
     }
 
+    /**
+     * Retrieves the active vertex attributes of the program, reflected when the program was linked.
+     * @returns {Map<string, AttributeInfo>} Map of attribute names to their description.
+     */
+    get activeAttributes() {
+        return this._activeAttributes;
+    }
+
+    /**
+     * Retrieves the description of an active vertex attribute.
+     * @param {string} name - Name of the attribute.
+     * @returns {AttributeInfo|null} Description of the attribute or null if it is not active within the program.
+     */
+    getActiveAttribute(name) {
+        return this._activeAttributes.get(name) || null;
+    }
+
+    /**
+     * Checks that an attribute layout supplies the attributes used by the program, this should be performed before
+     * drawing geometry with the program. Results are cached for each layout, so the check may be made every draw.
+     * Invalid layouts are reported to the console the first time they are validated.
+     * @param {AttributeDesc[]|AttributeBuffer|GeometryBuffer} layout - The attribute layout to be validated.
+     * @returns {AttributeValidation} The result of the validation.
+     */
+    validateAttributes(layout) {
+        if (!this._gl) {
+            throw new Error('Program has not been initialized.');
+        }
+
+        let attributes = layout;
+        if (layout && layout.attributeBuffer) {
+            attributes = layout.attributeBuffer.attributes;
+        } else if (layout && layout.attributes) {
+            ({ attributes } = layout);
+        }
+
+        if (!Array.isArray(attributes)) {
+            throw new Error('No attribute layout supplied.');
+        }
+
+        let result = this._layoutValidation.get(attributes);
+        if (!result) {
+            result = validateAttributeLayout(this._activeAttributes, attributes);
+            this._layoutValidation.set(attributes, result);
+
+            if (!result.valid) {
+                /* eslint-disable no-console */
+                console.warn('Program.validateAttributes - Attribute layout does not match the program.');
+                result.missing.forEach((name) => console.warn(`  Missing attribute '${name}'.`));
+                result.mismatched.forEach((item) => console.warn(`  Attribute '${item.name}' ${item.reason}.`));
+                /* eslint-enable no-console */
+            }
+        }
+
+        return result;
+    }
+
     /**
      * Retrieves the number of active uniforms used by the shader program.
      * @returns {number} The number of active uniform variables in the program.
@@ -176,4 +464,117 @@ export default class Program {
     getUniformLocation(name) {
         return this._id !== InvalidProgramId ? this._gl.getUniformLocation(this._id, name) : null;
     }
+
+    /**
+     * Retrieves the active uniforms of the program, reflected when the program was linked.
+     * Uniform arrays are available by their base name and by the name of each element ('lights' and 'lights[1]').
+     * @returns {Map<string, UniformInfo>} Map of uniform names to their description.
+     */
+    get uniforms() {
+        return this._uniforms;
+    }
+
+    /**
+     * Retrieves the description of an active uniform.
+     * @param {string} name - Name of the uniform.
+     * @returns {UniformInfo|null} Description of the uniform or null if it is not active within the program.
+     */
+    getUniform(name) {
+        return this._uniforms.get(name) || null;
+    }
+
+    /**
+     * Assigns a value to a uniform, using the gl.uniform* function appropriate to its reflected type.
+     * The program must be in use (see use) when uniforms are assigned, otherwise an error is thrown and the uniform
+     * is left unchanged. The last value assigned to each uniform is cached and uploads of an unchanged value are
+     * skipped.
+     *
+     * Numbers and booleans may be used for single component uniforms, otherwise an array (or typed array) containing
+     * all components is required. Samplers are assigned the texture unit they read from. An array uniform may be
+     * assigned fewer elements than it contains, starting with the element named.
+     * @param {string} name - Name of the uniform.
+     * @param {number|boolean|ArrayLike<number|boolean>} value - The value to be assigned.
+     * @returns {boolean} True if the value was assigned, false if the uniform is unknown or the value was not valid.
+     * @throws {Error} If the program is not in use.
+     */
+    setUniform(name, value) {
+        if (!this._gl) {
+            throw new Error('Program has not been initialized.');
+        }
+
+        // Uploading to a program that is not in use fails, but the uniform cache would still record the value
+        if (!this._isCurrent()) {
+            throw new Error(`Program.setUniform - Cannot assign uniform '${name}', the program is not in use.`);
+        }
+
+        const uniform = this._uniforms.get(name);
+        if (!uniform) {
+            this._warnUniform(`Program.setUniform - Uniform '${name}' is not active within the program.`);
+            return false;
+        }
+
+        if (!uploadUniform(this._gl, uniform, value)) {
+            const expected = uniform.size > 1
+                ? `a multiple of ${uniform.components} values (up to ${uniform.components * uniform.size})`
+                : `${uniform.components} value(s)`;
+
+            this._warnUniform(`Program.setUniform - Uniform '${name}' expected ${expected}.`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Assigns values to several uniforms, see setUniform for details.
+     * @param {object} values - Object whose properties are the names of the uniforms and the values to be assigned.
+     * @returns {boolean} True if all values were assigned otherwise false.
+     */
+    setUniforms(values) {
+        return Object.keys(values).reduce((result, name) => this.setUniform(name, values[name]) && result, true);
+    }
+
+    /**
+     * Retrieves the index of the uniform block associated with the specified name (WebGL2 only).
+     * @param {string} name - Name of the uniform block whose index is to be retrieved.
+     * @returns {GLuint} Index of the uniform block, or INVALID_INDEX if the block could not be found.
+     */
+    getUniformBlockIndex(name) {
+        return this._gl.getUniformBlockIndex(this._id, name);
+    }
+
+    /**
+     * Retrieves the size (in bytes) of the uniform block associated with the specified name (WebGL2 only).
+     * @param {string} name - Name of the uniform block whose size is to be retrieved.
+     * @returns {number} Size of the uniform block, or 0 if the block could not be found.
+     */
+    getUniformBlockSize(name) {
+        const index = this.getUniformBlockIndex(name);
+        if (index === this._gl.INVALID_INDEX) {
+            return 0;
+        }
+
+        return this._gl.getActiveUniformBlockParameter(this._id, index, this._gl.UNIFORM_BLOCK_DATA_SIZE);
+    }
+
+    /**
+     * Assigns a uniform buffer binding point to the uniform block associated with the specified name (WebGL2 only).
+     * @param {string} name - Name of the uniform block within the program.
+     * @param {number} bindingPoint - The uniform buffer binding point the block is to read from.
+     * @returns {boolean} True if the block was found within the program otherwise false.
+     */
+    setUniformBlockBinding(name, bindingPoint) {
+        if (!this._gl) {
+            throw new Error('Program has not been initialized.');
+        }
+
+        const index = this.getUniformBlockIndex(name);
+        if (index === this._gl.INVALID_INDEX) {
+            return false;
+        }
+
+        this._gl.uniformBlockBinding(this._id, index, bindingPoint);
+        this._uniformBlockBindings.set(name, bindingPoint);
+        return true;
+    }
 }
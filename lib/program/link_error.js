@@ -0,0 +1,22 @@
+import { parseInfoLog, formatInfoLog } from '../shader/info_log';
+
+/**
+ * Raised when a program fails to link.
+ */
+export default class ProgramLinkError extends Error {
+    /**
+     * @param {string|null} log - The info log reported by the driver.
+     */
+    constructor(log) {
+        const entries = parseInfoLog(log);
+        const details = formatInfoLog(entries, []);
+
+        super(`Failed to link program.${details ? `\n${details}` : ''}`);
+
+        this.name = 'ProgramLinkError';
+        this.stage = 'link';
+        this.log = log || '';
+        this.entries = entries;
+        this.excerpt = '';
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * This file contains the reflection of the active uniforms within a linked program, along with the functions used
+ * to upload values to them. Uniforms are described by the type reported by WebGL, which determines the number of
+ * components each element requires and the gl.uniform* function used to upload it.
+ */
+
+/**
+ * @typedef {object} UniformType
+ * @property {number} components - Number of values required by each element of the uniform.
+ * @property {string} method - Name of the WebGL function used to upload the uniform.
+ * @property {boolean} matrix - True if the uniform is a matrix, matrix functions take an additional transpose argument.
+ */
+
+/**
+ * @typedef {object} UniformInfo
+ * @property {string} name - Name of the uniform, array elements are named 'name[index]'.
+ * @property {number} type - The WebGL type of the uniform (such as FLOAT_VEC3).
+ * @property {number} size - Number of array elements covered by the uniform, 1 for non-array uniforms.
+ * @property {WebGLUniformLocation} location - Location of the uniform within the program.
+ * @property {number} components - Number of values required by each element of the uniform.
+ * @property {number} offset - Offset (in values) of the uniform within the cached values of its array.
+ * @property {Float64Array} cache - Last values uploaded to the array the uniform belongs to, shared by all elements.
+ */
+
+// Names of the uniform types and the upload function used for each, types not supported by the context are ignored
+const UNIFORM_TYPES = [
+    ['FLOAT', 1, 'uniform1fv'],
+    ['FLOAT_VEC2', 2, 'uniform2fv'],
+    ['FLOAT_VEC3', 3, 'uniform3fv'],
+    ['FLOAT_VEC4', 4, 'uniform4fv'],
+    ['INT', 1, 'uniform1iv'],
+    ['INT_VEC2', 2, 'uniform2iv'],
+    ['INT_VEC3', 3, 'uniform3iv'],
+    ['INT_VEC4', 4, 'uniform4iv'],
+    ['BOOL', 1, 'uniform1iv'],
+    ['BOOL_VEC2', 2, 'uniform2iv'],
+    ['BOOL_VEC3', 3, 'uniform3iv'],
+    ['BOOL_VEC4', 4, 'uniform4iv'],
+    ['UNSIGNED_INT', 1, 'uniform1uiv'],
+    ['UNSIGNED_INT_VEC2', 2, 'uniform2uiv'],
+    ['UNSIGNED_INT_VEC3', 3, 'uniform3uiv'],
+    ['UNSIGNED_INT_VEC4', 4, 'uniform4uiv'],
+    ['FLOAT_MAT2', 4, 'uniformMatrix2fv'],
+    ['FLOAT_MAT3', 9, 'uniformMatrix3fv'],
+    ['FLOAT_MAT4', 16, 'uniformMatrix4fv'],
+    ['FLOAT_MAT2x3', 6, 'uniformMatrix2x3fv'],
+    ['FLOAT_MAT2x4', 8, 'uniformMatrix2x4fv'],
+    ['FLOAT_MAT3x2', 6, 'uniformMatrix3x2fv'],
+    ['FLOAT_MAT3x4', 12, 'uniformMatrix3x4fv'],
+    ['FLOAT_MAT4x2', 8, 'uniformMatrix4x2fv'],
+    ['FLOAT_MAT4x3', 12, 'uniformMatrix4x3fv'],
+    ['SAMPLER_2D', 1, 'uniform1iv'],
+    ['SAMPLER_CUBE', 1, 'uniform1iv'],
+    ['SAMPLER_3D', 1, 'uniform1iv'],
+    ['SAMPLER_2D_SHADOW', 1, 'uniform1iv'],
+    ['SAMPLER_2D_ARRAY', 1, 'uniform1iv'],
+    ['SAMPLER_2D_ARRAY_SHADOW', 1, 'uniform1iv'],
+    ['SAMPLER_CUBE_SHADOW', 1, 'uniform1iv'],
+    ['INT_SAMPLER_2D', 1, 'uniform1iv'],
+    ['INT_SAMPLER_3D', 1, 'uniform1iv'],
+    ['INT_SAMPLER_CUBE', 1, 'uniform1iv'],
+    ['INT_SAMPLER_2D_ARRAY', 1, 'uniform1iv'],
+    ['UNSIGNED_INT_SAMPLER_2D', 1, 'uniform1iv'],
+    ['UNSIGNED_INT_SAMPLER_3D', 1, 'uniform1iv'],
+    ['UNSIGNED_INT_SAMPLER_CUBE', 1, 'uniform1iv'],
+    ['UNSIGNED_INT_SAMPLER_2D_ARRAY', 1, 'uniform1iv'],
+];
+
+const uniformTypes = new WeakMap();
+
+/**
+ * Retrieves the table describing each uniform type supported by a rendering context.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @returns {Map<number, UniformType>} Map of WebGL uniform types to their description.
+ */
+function getUniformTypes(gl) {
+    let types = uniformTypes.get(gl);
+
+    if (!types) {
+        types = new Map();
+
+        UNIFORM_TYPES.forEach(([name, components, method]) => {
+            if (gl[name] !== undefined && typeof gl[method] === 'function') {
+                types.set(gl[name], { components, method, matrix: method.indexOf('Matrix') !== -1 });
+            }
+        });
+
+        uniformTypes.set(gl, types);
+    }
+
+    return types;
+}
+
+/**
+ * Retrieves the description of a uniform type.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @param {number} type - The WebGL type of the uniform.
+ * @returns {UniformType|null} Description of the uniform type or null if it is not supported.
+ */
+export function getUniformType(gl, type) {
+    return getUniformTypes(gl).get(type) || null;
+}
+
+/**
+ * Reads the active uniforms of a linked program.
+ *
+ * Uniform arrays are available both by their base name ('lights'), which covers the entire array, and by the name of
+ * each element ('lights[1]'). Struct members are reported by WebGL as separate uniforms ('light.color') and are
+ * reflected under those names. Uniforms that belong to a uniform block are not included, as they have no location.
+ * @param {WebGLRenderingContext} gl - The rendering context the program belongs to.
+ * @param {WebGLProgram} program - The linked program to be reflected.
+ * @returns {Map<string, UniformInfo>} Map of uniform names to their description.
+ */
+export function reflectUniforms(gl, program) {
+    const uniforms = new Map();
+    const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS) || 0;
+
+    for (let index = 0; index < count; ++index) {
+        const info = gl.getActiveUniform(program, index);
+        const type = info ? getUniformType(gl, info.type) : null;
+        const location = info ? gl.getUniformLocation(program, info.name) : null;
+
+        if (type && location) {
+            const { components } = type;
+
+            // Array uniforms are reported with the name of their first element, such as 'lights[0]'
+            const isArray = info.name.slice(-3) === '[0]';
+            const name = isArray ? info.name.slice(0, -3) : info.name;
+            const cache = new Float64Array(components * info.size).fill(NaN);
+
+            uniforms.set(name, {
+                name,
+                type: info.type,
+                size: info.size,
+                location,
+                components,
+                offset: 0,
+                cache,
+            });
+
+            if (isArray) {
+                for (let element = 0; element < info.size; ++element) {
+                    const elementName = `${name}[${element}]`;
+                    const elementLocation = element === 0 ? location : gl.getUniformLocation(program, elementName);
+
+                    if (elementLocation) {
+                        uniforms.set(elementName, {
+                            name: elementName,
+                            type: info.type,
+                            size: info.size - element,
+                            location: elementLocation,
+                            components,
+                            offset: element * components,
+                            cache,
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    return uniforms;
+}
+
+/**
+ * Converts a uniform value to a list of values.
+ * @param {number|boolean|ArrayLike<number|boolean>} value - The value to be converted.
+ * @returns {ArrayLike<number|boolean>|null} The converted value or null if the value is not supported.
+ */
+function toValues(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return [value];
+    }
+
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        return value;
+    }
+
+    return null;
+}
+
+/**
+ * Validates the size of a value being assigned to a uniform.
+ * A value may cover fewer array elements than the uniform, but must contain a whole number of elements.
+ * @param {UniformInfo} uniform - The uniform the value is assigned to.
+ * @param {ArrayLike<number|boolean>} values - The values being assigned.
+ * @returns {boolean} True if the size of the value is valid otherwise false.
+ */
+export function isValidUniformSize(uniform, values) {
+    const { length } = values;
+
+    return length > 0 && length % uniform.components === 0 && length <= uniform.components * uniform.size;
+}
+
+/**
+ * Uploads a value to a uniform of the program currently in use, the upload is skipped if the uniform already
+ * contains the value.
+ * @param {WebGLRenderingContext} gl - The rendering context the program belongs to.
+ * @param {UniformInfo} uniform - The uniform to be updated.
+ * @param {number|boolean|ArrayLike<number|boolean>} value - The value to be assigned.
+ * @returns {boolean} True if the value could be assigned, false if the value was not valid for the uniform.
+ */
+export function uploadUniform(gl, uniform, value) {
+    const values = toValues(value);
+    if (!values || !isValidUniformSize(uniform, values)) {
+        return false;
+    }
+
+    const { cache, offset } = uniform;
+
+    let changed = false;
+    for (let loop = 0; loop < values.length; ++loop) {
+        const current = Number(values[loop]);
+        if (cache[offset + loop] !== current) {
+            cache[offset + loop] = current;
+            changed = true;
+        }
+    }
+
+    if (changed) {
+        const type = getUniformType(gl, uniform.type);
+
+        if (type.matrix) {
+            gl[type.method](uniform.location, false, values);
+        } else {
+            gl[type.method](uniform.location, values);
+        }
+    }
+
+    return true;
+}
@@ -0,0 +1,176 @@
+import Extension from '../extensions';
+
+/**
+ * @typedef {object} PrecisionFormat
+ * @property {number} rangeMin - Base 2 log of the absolute value of the minimum value that can be represented.
+ * @property {number} rangeMax - Base 2 log of the absolute value of the maximum value that can be represented.
+ * @property {number} precision - Number of bits of precision that can be represented.
+ */
+
+/**
+ * @typedef {object} ShaderPrecision
+ * @property {PrecisionFormat} highFloat
+ * @property {PrecisionFormat} mediumFloat
+ * @property {PrecisionFormat} lowFloat
+ * @property {PrecisionFormat} highInt
+ * @property {PrecisionFormat} mediumInt
+ * @property {PrecisionFormat} lowInt
+ */
+
+/**
+ * Reads a parameter that is only available on WebGL2 contexts (or through an extension).
+ * @param {WebGLRenderingContext} gl - The rendering context to be queried.
+ * @param {number|undefined} pname - The parameter to be read, undefined if it is not supported.
+ * @param {*} fallback - The value returned if the parameter is not supported.
+ * @returns {*} The value of the parameter.
+ */
+function getOptionalParameter(gl, pname, fallback) {
+    if (pname === undefined) {
+        return fallback;
+    }
+
+    const value = gl.getParameter(pname);
+    return value !== null && value !== undefined ? value : fallback;
+}
+
+/**
+ * Converts a typed array parameter (such as MAX_VIEWPORT_DIMS) into a plain array, so it serialises cleanly.
+ * @param {ArrayLike<number>|null} value - The value to be converted.
+ * @returns {number[]} The converted array.
+ */
+function toArray(value) {
+    return value ? Array.prototype.slice.call(value) : [];
+}
+
+/**
+ * Reads the precision formats supported by a shader stage.
+ * @param {WebGLRenderingContext} gl - The rendering context to be queried.
+ * @param {number} shaderType - Either VERTEX_SHADER or FRAGMENT_SHADER.
+ * @returns {ShaderPrecision} The precision formats supported by the shader stage.
+ */
+function getShaderPrecision(gl, shaderType) {
+    const read = (precisionType) => {
+        const format = gl.getShaderPrecisionFormat(shaderType, precisionType);
+
+        return {
+            rangeMin: format ? format.rangeMin : 0,
+            rangeMax: format ? format.rangeMax : 0,
+            precision: format ? format.precision : 0,
+        };
+    };
+
+    return {
+        highFloat: read(gl.HIGH_FLOAT),
+        mediumFloat: read(gl.MEDIUM_FLOAT),
+        lowFloat: read(gl.LOW_FLOAT),
+        highInt: read(gl.HIGH_INT),
+        mediumInt: read(gl.MEDIUM_INT),
+        lowInt: read(gl.LOW_INT),
+    };
+}
+
+/**
+ * Describes the capabilities and limits of a WebGL rendering context.
+ * The values are read once, when the object is created, so they may be queried freely.
+ */
+export default class Capabilities {
+    /**
+     * @param {WebGLRenderingContext} gl - The rendering context whose capabilities are to be read.
+     */
+    constructor(gl) {
+        if (!gl) {
+            throw new Error('Cannot read capabilities without context.');
+        }
+
+        const version = gl.getParameter(gl.VERSION);
+        const supported = gl.getSupportedExtensions() || [];
+
+        this.webglVersion = version.indexOf('WebGL 1.0') !== -1 ? 1 : 2;
+        this.version = version;
+        this.shadingLanguageVersion = gl.getParameter(gl.SHADING_LANGUAGE_VERSION);
+        this.vendor = gl.getParameter(gl.VENDOR);
+        this.renderer = gl.getParameter(gl.RENDERER);
+
+        // Only the extensions known to the Extension table are reported
+        this.extensions = Object.keys(Extension).filter((name) => supported.indexOf(Extension[name]) !== -1);
+
+        this.unmaskedVendor = null;
+        this.unmaskedRenderer = null;
+        if (this.hasExtension(Extension.WEBGL_debug_renderer_info)) {
+            const debugInfo = gl.getExtension(Extension.WEBGL_debug_renderer_info);
+            if (debugInfo) {
+                this.unmaskedVendor = gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL);
+                this.unmaskedRenderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL);
+            }
+        }
+
+        this.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+        this.maxCubeMapTextureSize = gl.getParameter(gl.MAX_CUBE_MAP_TEXTURE_SIZE);
+        this.maxRenderbufferSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+        this.max3DTextureSize = getOptionalParameter(gl, gl.MAX_3D_TEXTURE_SIZE, 0);
+        this.maxArrayTextureLayers = getOptionalParameter(gl, gl.MAX_ARRAY_TEXTURE_LAYERS, 0);
+        this.maxViewportDims = toArray(gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+
+        this.maxTextureImageUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
+        this.maxVertexTextureImageUnits = gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS);
+        this.maxCombinedTextureImageUnits = gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS);
+
+        this.maxVertexAttribs = gl.getParameter(gl.MAX_VERTEX_ATTRIBS);
+        this.maxVaryingVectors = gl.getParameter(gl.MAX_VARYING_VECTORS);
+        this.maxVertexUniformVectors = gl.getParameter(gl.MAX_VERTEX_UNIFORM_VECTORS);
+        this.maxFragmentUniformVectors = gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS);
+        this.maxUniformBufferBindings = getOptionalParameter(gl, gl.MAX_UNIFORM_BUFFER_BINDINGS, 0);
+
+        this.maxDrawBuffers = 1;
+        if (gl.MAX_DRAW_BUFFERS !== undefined) {
+            this.maxDrawBuffers = gl.getParameter(gl.MAX_DRAW_BUFFERS);
+        } else if (this.hasExtension(Extension.WEBGL_draw_buffers)) {
+            const drawBuffers = gl.getExtension(Extension.WEBGL_draw_buffers);
+            if (drawBuffers) {
+                this.maxDrawBuffers = gl.getParameter(drawBuffers.MAX_DRAW_BUFFERS_WEBGL);
+            }
+        }
+
+        this.maxSamples = getOptionalParameter(gl, gl.MAX_SAMPLES, 0);
+        this.samples = gl.getParameter(gl.SAMPLES);
+
+        this.maxAnisotropy = 0;
+        if (this.hasExtension(Extension.EXT_texture_filter_anisotropic)) {
+            const anisotropic = gl.getExtension(Extension.EXT_texture_filter_anisotropic);
+            if (anisotropic) {
+                this.maxAnisotropy = gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT);
+            }
+        }
+
+        this.aliasedLineWidthRange = toArray(gl.getParameter(gl.ALIASED_LINE_WIDTH_RANGE));
+        this.aliasedPointSizeRange = toArray(gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE));
+
+        this.precision = {
+            vertex: getShaderPrecision(gl, gl.VERTEX_SHADER),
+            fragment: getShaderPrecision(gl, gl.FRAGMENT_SHADER),
+        };
+    }
+
+    /**
+     * Determines whether or not the device supports the specified extension.
+     * @param {Extension} extension - The extension to be checked.
+     * @returns {boolean} True if the extension is supported otherwise false.
+     */
+    hasExtension(extension) {
+        return this.extensions.indexOf(extension) !== -1;
+    }
+
+    /**
+     * Creates a plain object containing the capabilities, used when serialising to JSON.
+     * @returns {object} Copy of the capabilities.
+     */
+    toJSON() {
+        const result = {};
+
+        Object.keys(this).forEach((key) => {
+            result[key] = this[key];
+        });
+
+        return result;
+    }
+}
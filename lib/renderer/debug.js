@@ -0,0 +1,431 @@
+/**
+ * Determines how errors detected by a DebugContext are reported.
+ */
+export const DebugMode = {
+    Throw: 0,
+    Warn: 1,
+    Collect: 2,
+};
+
+const ERROR_NAMES = [
+    'INVALID_ENUM',
+    'INVALID_VALUE',
+    'INVALID_OPERATION',
+    'INVALID_FRAMEBUFFER_OPERATION',
+    'OUT_OF_MEMORY',
+    'CONTEXT_LOST_WEBGL',
+];
+
+// Positions of the arguments that are enums, keyed by function name (without any extension suffix). Functions with
+// several overloads use a function that selects the positions from the arguments supplied.
+const ENUM_ARGUMENTS = {
+    activeTexture: [0],
+    beginQuery: [0],
+    beginTransformFeedback: [0],
+    bindBuffer: [0],
+    bindBufferBase: [0],
+    bindBufferRange: [0],
+    bindFramebuffer: [0],
+    bindRenderbuffer: [0],
+    bindTexture: [0],
+    bindTransformFeedback: [0],
+    blendEquation: [0],
+    blendEquationSeparate: [0, 1],
+    blendFunc: [0, 1],
+    blendFuncSeparate: [0, 1, 2, 3],
+    blitFramebuffer: [9],
+    bufferData: [0, 2],
+    bufferSubData: [0],
+    checkFramebufferStatus: [0],
+    clearBufferfi: [0],
+    clearBufferfv: [0],
+    clearBufferiv: [0],
+    clearBufferuiv: [0],
+    compressedTexImage2D: [0, 2],
+    compressedTexImage3D: [0, 2],
+    compressedTexSubImage2D: [0, 6],
+    compressedTexSubImage3D: [0, 8],
+    copyBufferSubData: [0, 1],
+    copyTexImage2D: [0, 2],
+    copyTexSubImage2D: [0],
+    copyTexSubImage3D: [0],
+    createShader: [0],
+    cullFace: [0],
+    depthFunc: [0],
+    disable: [0],
+    drawArrays: [0],
+    drawArraysInstanced: [0],
+    drawElements: [0, 2],
+    drawElementsInstanced: [0, 2],
+    drawRangeElements: [0, 4],
+    enable: [0],
+    endQuery: [0],
+    fenceSync: [0],
+    framebufferRenderbuffer: [0, 1, 2],
+    framebufferTexture2D: [0, 1, 2],
+    framebufferTextureLayer: [0, 1],
+    frontFace: [0],
+    generateMipmap: [0],
+    getActiveUniformBlockParameter: [2],
+    getActiveUniforms: [2],
+    getBufferParameter: [0, 1],
+    getBufferSubData: [0],
+    getFramebufferAttachmentParameter: [0, 1, 2],
+    getIndexedParameter: [0],
+    getInternalformatParameter: [0, 1, 2],
+    getParameter: [0],
+    getProgramParameter: [1],
+    getQuery: [0, 1],
+    getQueryParameter: [1],
+    getRenderbufferParameter: [0, 1],
+    getSamplerParameter: [1],
+    getShaderParameter: [1],
+    getShaderPrecisionFormat: [0, 1],
+    getSyncParameter: [1],
+    getTexParameter: [0, 1],
+    getVertexAttrib: [1],
+    getVertexAttribOffset: [1],
+    hint: [0, 1],
+    invalidateFramebuffer: [0],
+    invalidateSubFramebuffer: [0],
+    isEnabled: [0],
+    multiDrawArrays: [0],
+    multiDrawArraysInstanced: [0],
+    multiDrawElements: [0, 3],
+    multiDrawElementsInstanced: [0, 3],
+    pixelStorei: [0],
+    queryCounter: [1],
+    readBuffer: [0],
+    readPixels: [4, 5],
+    renderbufferStorage: [0, 1],
+    renderbufferStorageMultisample: [0, 2],
+    samplerParameterf: [1],
+    samplerParameteri: [1],
+    stencilFunc: [0],
+    stencilFuncSeparate: [0, 1],
+    stencilMaskSeparate: [0],
+    stencilOp: [0, 1, 2],
+    stencilOpSeparate: [0, 1, 2, 3],
+    texImage2D: (args) => (args.length === 6 ? [0, 2, 3, 4] : [0, 2, 6, 7]),
+    texImage3D: [0, 2, 7, 8],
+    texParameterf: [0, 1],
+    texParameteri: [0, 1],
+    texStorage2D: [0, 2],
+    texStorage3D: [0, 2],
+    texSubImage2D: (args) => (args.length === 7 ? [0, 4, 5] : [0, 6, 7]),
+    texSubImage3D: [0, 8, 9],
+    transformFeedbackVaryings: [2],
+    vertexAttribIPointer: [2],
+    vertexAttribPointer: [2],
+};
+
+// Upper limit of errors read after a single call, getError only reports each error flag once
+const MAX_ERRORS_PER_CALL = 8;
+
+/**
+ * @typedef {object} DebugError
+ * @property {string} error - Name of the WebGL error (such as INVALID_ENUM).
+ * @property {number} code - The WebGL error code.
+ * @property {string} functionName - Name of the context function that raised the error.
+ * @property {string} args - Description of the arguments passed to the function.
+ * @property {string} message - Human readable description of the error.
+ */
+
+/**
+ * Retrieves the name of a WebGL error code.
+ * @param {WebGLRenderingContext} gl - The rendering context the error was reported by.
+ * @param {number} code - The error code returned by getError.
+ * @returns {string} Name of the error, or the error code in hexadecimal if it is not recognised.
+ */
+export function getErrorName(gl, code) {
+    const name = ERROR_NAMES.find((errorName) => gl[errorName] === code);
+    return name || `0x${code.toString(16)}`;
+}
+
+/**
+ * Retrieves the positions of the arguments of a function that are enums.
+ * @param {string} functionName - Name of the function, extension functions are prefixed with the extension name.
+ * @param {Array} args - The arguments passed to the function.
+ * @returns {number[]} Positions of the enum arguments, empty if the function is not known.
+ */
+function getEnumArguments(functionName, args) {
+    const method = functionName.slice(functionName.lastIndexOf('.') + 1).replace(/(ANGLE|OES|EXT|WEBGL)$/, '');
+    const positions = ENUM_ARGUMENTS[method];
+
+    return typeof positions === 'function' ? positions(args) : positions || [];
+}
+
+/**
+ * Builds a table that maps the value of each constant exposed by a context to its name(s).
+ * @param {WebGLRenderingContext} gl - The rendering context whose constants are to be read.
+ * @returns {Map<number, string>} Map of constant values to names, values with several names are joined with '|'.
+ */
+function createEnumTable(gl) {
+    const table = new Map();
+
+    let proto = gl;
+    while (proto && proto !== Object.prototype) {
+        Object.getOwnPropertyNames(proto).forEach((name) => {
+            if (/^[A-Z][A-Z0-9_]*$/.test(name)) {
+                const value = gl[name];
+                if (typeof value === 'number') {
+                    const existing = table.get(value);
+                    if (!existing) {
+                        table.set(value, name);
+                    } else if (existing.split('|').indexOf(name) === -1) {
+                        table.set(value, `${existing}|${name}`);
+                    }
+                }
+            }
+        });
+
+        proto = Object.getPrototypeOf(proto);
+    }
+
+    return table;
+}
+
+/**
+ * Wraps a WebGL rendering context so every call is checked for errors.
+ *
+ * The wrapped context (see the context property) is used in place of the original context. After each function
+ * call getError is read, any errors are reported with the name of the function, its arguments (with the arguments
+ * known to be enums translated to their names) and the name of the error. Extensions retrieved from the wrapped
+ * context are wrapped in the same way. Because errors are consumed by the wrapper, calling getError on the wrapped
+ * context will always return NO_ERROR.
+ */
+export default class DebugContext {
+    /**
+     * @param {WebGLRenderingContext} gl - The rendering context to be wrapped.
+     * @param {DebugMode=} mode - How errors are reported, the default is DebugMode.Throw.
+     */
+    constructor(gl, mode = DebugMode.Throw) {
+        if (!gl) {
+            throw new Error('Cannot create debug context without context.');
+        }
+
+        this._gl = gl;
+        this._mode = mode;
+        this._errors = [];
+        this._enums = createEnumTable(gl);
+        this._functions = new WeakMap();
+        this._extensions = new Map();
+
+        this._context = new Proxy(gl, {
+            get: (target, property) => {
+                // Properties are read from the original context, native getters do not accept the proxy as receiver
+                const value = target[property];
+                if (typeof value !== 'function') {
+                    return value;
+                }
+
+                if (property === 'getError') {
+                    return () => target.NO_ERROR;
+                }
+
+                if (property === 'getExtension') {
+                    return (name) => this._getExtension(name);
+                }
+
+                return this._getFunction(target, property, value);
+            },
+        });
+    }
+
+    /**
+     * The wrapped rendering context, this should be used in place of the original context.
+     * @returns {WebGLRenderingContext}
+     */
+    get context() {
+        return this._context;
+    }
+
+    /**
+     * Determines how errors are reported.
+     * @returns {DebugMode}
+     */
+    get mode() {
+        return this._mode;
+    }
+
+    /**
+     * Changes how errors are reported.
+     * @param {DebugMode} mode - The reporting mode to be used.
+     */
+    set mode(mode) {
+        this._mode = mode;
+    }
+
+    /**
+     * Retrieves the errors collected while in DebugMode.Collect.
+     * @returns {DebugError[]} Copy of the collected errors, ordered from oldest to newest.
+     */
+    get errors() {
+        return this._errors.slice();
+    }
+
+    /**
+     * Discards all collected errors.
+     */
+    clearErrors() {
+        this._errors.length = 0;
+    }
+
+    /**
+     * Translates a value to the name of the WebGL constant it represents, if any.
+     * @param {number} value - The value to be translated.
+     * @returns {string|null} Name of the constant (names are joined with '|' if several share the value) or null.
+     */
+    getEnumName(value) {
+        return this._enums.get(value) || null;
+    }
+
+    /**
+     * Retrieves an extension whose functions are checked for errors in the same way as the context functions.
+     * The wrapped extension is cached, it is only recreated when the context returns a different extension object
+     * (such as after the context has been restored).
+     * @param {string} name - Name of the extension.
+     * @returns {object|null} The wrapped extension or null if the extension is not supported.
+     * @private
+     */
+    _getExtension(name) {
+        const extension = this._getFunction(this._gl, 'getExtension', this._gl.getExtension)(name);
+        if (!extension) {
+            return null;
+        }
+
+        let entry = this._extensions.get(name);
+        if (!entry || entry.extension !== extension) {
+            entry = {
+                extension,
+                proxy: new Proxy(extension, {
+                    get: (target, property) => {
+                        const value = target[property];
+                        if (typeof value !== 'function') {
+                            return value;
+                        }
+
+                        return this._getFunction(target, `${name}.${property}`, value);
+                    },
+                }),
+            };
+
+            this._extensions.set(name, entry);
+        }
+
+        return entry.proxy;
+    }
+
+    /**
+     * Retrieves the checked version of a context (or extension) function, creating it if necessary.
+     * @param {object} target - The object the function belongs to, either the original context or an extension.
+     * @param {string} name - Name of the function, reported when the function raises an error.
+     * @param {function} func - The original function.
+     * @returns {function} Function that calls the original and checks for errors.
+     * @private
+     */
+    _getFunction(target, name, func) {
+        let functions = this._functions.get(target);
+        if (!functions) {
+            functions = new Map();
+            this._functions.set(target, functions);
+        }
+
+        let wrapper = functions.get(name);
+        if (!wrapper) {
+            wrapper = (...args) => {
+                const result = func.apply(target, args);
+                this._checkErrors(name, args);
+                return result;
+            };
+
+            functions.set(name, wrapper);
+        }
+
+        return wrapper;
+    }
+
+    /**
+     * Reads and reports any errors raised by a context function.
+     * @param {string} functionName - Name of the function that was called.
+     * @param {Array} args - The arguments passed to the function.
+     * @private
+     */
+    _checkErrors(functionName, args) {
+        const gl = this._gl;
+
+        for (let loop = 0; loop < MAX_ERRORS_PER_CALL; ++loop) {
+            const code = gl.getError();
+
+            // A lost context is reported through the webglcontextlost event and is recoverable, so it is not an error
+            if (code === gl.NO_ERROR || code === gl.CONTEXT_LOST_WEBGL) {
+                return;
+            }
+
+            const error = getErrorName(gl, code);
+            const enums = getEnumArguments(functionName, args);
+            const description = args.map((arg, index) => this._formatArgument(arg, enums.indexOf(index) !== -1))
+                .join(', ');
+
+            this._report({
+                error,
+                code,
+                functionName,
+                args: description,
+                message: `WebGL error ${error} in ${functionName}(${description}).`,
+            });
+        }
+    }
+
+    /**
+     * Creates a description of an argument passed to a context function.
+     * @param {*} arg - The argument to be described.
+     * @param {boolean} isEnum - True if the argument is an enum, which is translated to the name of the constant.
+     * @returns {string} Description of the argument.
+     * @private
+     */
+    _formatArgument(arg, isEnum) {
+        if (typeof arg === 'number') {
+            const name = isEnum ? this.getEnumName(arg) : null;
+            return name ? `${name} (0x${arg.toString(16)})` : `${arg}`;
+        }
+
+        if (arg === null || arg === undefined) {
+            return `${arg}`;
+        }
+
+        if (ArrayBuffer.isView(arg)) {
+            return `${arg.constructor.name}(${arg.length})`;
+        }
+
+        if (typeof arg === 'string') {
+            return JSON.stringify(arg.length > 32 ? `${arg.slice(0, 32)}...` : arg);
+        }
+
+        if (typeof arg === 'object') {
+            return arg.constructor ? arg.constructor.name : 'object';
+        }
+
+        return `${arg}`;
+    }
+
+    /**
+     * Reports an error using the current mode.
+     * @param {DebugError} error - The error to be reported.
+     * @private
+     */
+    _report(error) {
+        switch (this._mode) {
+            case DebugMode.Warn:
+                console.warn(error.message); // eslint-disable-line no-console
+                break;
+
+            case DebugMode.Collect:
+                this._errors.push(error);
+                break;
+
+            default:
+                throw new Error(error.message);
+        }
+    }
+}
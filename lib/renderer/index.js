@@ -1,7 +1,20 @@
 import WebGLState from '../state';
-import { PrimitiveType } from '../primitives';
+import {
+    PrimitiveType,
+    IndexType,
+    ClearFlags,
+    indexTypeToWebGL,
+    getIndexTypeSize,
+    clearFlagsToWebGL,
+} from '../primitives';
 import * as ContextInfo from './context';
+import Capabilities from './capabilities';
+import ResizeManager from './resize';
 import Extension from '../extensions';
+import StateStatistics from '../state/statistics';
+import ResourceRegistry from '../resources';
+import DebugContext, { DebugMode, getErrorName } from './debug';
+import ProgramCache from '../program/cache';
 
 const DEFAULT_OPTIONS = {
     webgl2: true,
@@ -14,8 +27,93 @@ const DEFAULT_OPTIONS = {
     preserveDrawingBuffer: false,
     disableVAO: false,
     stencil: false,
+    statistics: false,
+    frameHistory: 60,
+    onContextLost: null,
+    onContextRestored: null,
+    debugResources: false,
+    autoResize: false,
+    pixelRatio: null,
+    maxPixelRatio: 2,
+    onResize: null,
+    debug: false,
+    debugMode: DebugMode.Throw,
 };
 
+/**
+ * @typedef {object} DrawInformation
+ * @property {number} frame - Number of the frame the statistics belong to.
+ * @property {number} drawCalls - Number of draw calls issued.
+ * @property {number} indexedCalls - Number of indexed draw calls issued.
+ * @property {number} instancedCalls - Number of instanced draw calls issued.
+ * @property {number} pointCount - Number of points rendered.
+ * @property {number} lineCount - Number of lines rendered.
+ * @property {number} triangleCount - Number of triangles rendered.
+ */
+
+/**
+ * Creates an empty set of draw statistics.
+ * @returns {DrawInformation} Draw statistics with all counters set to zero.
+ */
+function createDrawInformation() {
+    return {
+        frame: 0,
+        drawCalls: 0,
+        indexedCalls: 0,
+        instancedCalls: 0,
+        pointCount: 0,
+        lineCount: 0,
+        triangleCount: 0,
+    };
+}
+
+/**
+ * Creates a copy of a set of draw statistics.
+ * @param {DrawInformation} info - The draw statistics to be copied.
+ * @returns {DrawInformation} Copy of the supplied draw statistics.
+ */
+function copyDrawInformation(info) {
+    return {
+        frame: info.frame,
+        drawCalls: info.drawCalls,
+        indexedCalls: info.indexedCalls,
+        instancedCalls: info.instancedCalls,
+        pointCount: info.pointCount,
+        lineCount: info.lineCount,
+        triangleCount: info.triangleCount,
+    };
+}
+
+/**
+ * Determines the WebGL primitive mode and the number of vertices (or indices) required to render a number of
+ * primitives, along with the draw statistic the primitives are counted against.
+ * @param {WebGLRenderingContext} gl - The rendering context the primitives are to be rendered with.
+ * @param {PrimitiveType} primitiveType - The type of primitive to be rendered.
+ * @param {number} primitiveCount - The number of primitives to be rendered.
+ * @returns {{mode: number, count: number, statistic: string}} Description of the primitives to be rendered.
+ */
+function resolvePrimitive(gl, primitiveType, primitiveCount) {
+    switch (primitiveType) {
+        case PrimitiveType.PointList:
+            return { mode: gl.POINTS, count: primitiveCount, statistic: 'pointCount' };
+
+        case PrimitiveType.LineList:
+            return { mode: gl.LINES, count: primitiveCount * 2, statistic: 'lineCount' };
+
+        case PrimitiveType.LineStrip:
+            return { mode: gl.LINE_STRIP, count: primitiveCount + 1, statistic: 'lineCount' };
+
+        case PrimitiveType.TriangleList:
+            return { mode: gl.TRIANGLES, count: primitiveCount * 3, statistic: 'triangleCount' };
+
+        case PrimitiveType.TriangleStrip:
+            return { mode: gl.TRIANGLE_STRIP, count: primitiveCount + 2, statistic: 'triangleCount' };
+
+        default:
+            throw new Error('Unknown primitive type.');
+    }
+}
+
 /**
  * Core interface wrapper for the WebGL rendering framework.
  */
@@ -25,25 +123,32 @@ export default class Renderer {
         this._state = new WebGLState();
         this._options = null;
         this._canvas = null;
+        this._capabilities = null;
+        this._resizeManager = null;
+        this._debugContext = null;
+        this._programCache = null;
         this._vaoEnabled = false;
         this._OES_vertex_array_object = null;
+        this._ANGLE_instanced_arrays = null;
+        this._WEBGL_multi_draw = null;
+        this._WEBGL_lose_context = null;
+
+        // Tracks the resources created against the context, so they may be restored or reported as leaked
+        this._resources = new ResourceRegistry();
+        this._contextLost = false;
+        this._contextLostListener = (event) => this._handleContextLost(event);
+        this._contextRestoredListener = () => this._handleContextRestored();
 
+        // Draw statistics are double buffered, the current frame writes to _drawIndex while the other entry
+        // contains the statistics of the last completed frame.
         this._drawInformation = [
-            {
-                drawCalls: 0,
-                indexedCalls: 0,
-                pointCount: 0,
-                lineCount: 0,
-                triangleCount: 0,
-            },
-            {
-                drawCalls: 0,
-                indexedCalls: 0,
-                pointCount: 0,
-                lineCount: 0,
-                triangleCount: 0,
-            },
+            createDrawInformation(),
+            createDrawInformation(),
         ];
+        this._drawIndex = 0;
+        this._frameNumber = 0;
+        this._frameActive = false;
+        this._frameHistory = [];
     }
 
     /**
@@ -52,7 +157,38 @@ export default class Renderer {
     dispose() {
         this._state.dispose();
 
+        // Cached programs are owned by the cache, so they are released before leaks are reported
+        if (this._programCache) {
+            this._programCache.dispose();
+            this._programCache = null;
+        }
+
+        if (this._resources.size > 0) {
+            this._reportLeaks();
+        }
+
+        this._resources.clear();
+        this._resources.detach();
+
+        if (this._resizeManager) {
+            this._resizeManager.dispose();
+            this._resizeManager = null;
+        }
+
+        if (this._canvas) {
+            this._canvas.removeEventListener('webglcontextlost', this._contextLostListener);
+            this._canvas.removeEventListener('webglcontextrestored', this._contextRestoredListener);
+            this._canvas = null;
+        }
+
+        this._contextLost = false;
+        this._capabilities = null;
+        this._debugContext = null;
+
         this._OES_vertex_array_object = null;
+        this._ANGLE_instanced_arrays = null;
+        this._WEBGL_multi_draw = null;
+        this._WEBGL_lose_context = null;
         this._options = null;
         this._gl = null;
     }
@@ -72,30 +208,41 @@ export default class Renderer {
             throw new Error('WebGL renderer has already been initialized.');
         }
 
-        this._vaoEnabled = false;
         this._options = Object.assign({}, DEFAULT_OPTIONS, options);
         this._gl = ContextInfo.detectWebGL(canvas, this._options);
 
         if (this._gl) {
-            const version = this._gl.getParameter(this._gl.VERSION);
-            if (version.indexOf('WebGL 1.0') !== -1) {
-                // We only allow disabling of VAO in WebGL1 as it is always present in V2 devices
-                if (!options.disableVAO) {
-                    this._OES_vertex_array_object = this._gl.getExtension(Extension.OES_vertex_array_object);
-                    if (this._OES_vertex_array_object) {
-                        this._vaoEnabled = true;
-                        this.createVertexArray = this._createVertexArrayOES;
-                        this.deleteVertexArray = this._deleteVertexArrayOES;
-                    }
-                }
-            } else {
-                this._vaoEnabled = true;
-                this.createVertexArray = this._createVertexArray;
-                this.deleteVertexArray = this._deleteVertexArray;
+            // The checked context replaces the original, so every object created by the renderer uses it
+            if (this._options.debug) {
+                this._debugContext = new DebugContext(this._gl, this._options.debugMode);
+                this._gl = this._debugContext.context;
             }
 
+            this._resources.debug = this._options.debugResources;
+            this._resources.attach(this._gl);
+
+            this._initializeExtensions();
+            this._capabilities = new Capabilities(this._gl);
+
             this._canvas = canvas;
+            this._canvas.addEventListener('webglcontextlost', this._contextLostListener, false);
+            this._canvas.addEventListener('webglcontextrestored', this._contextRestoredListener, false);
+
             this._state.initialize(this._gl);
+            this._programCache = new ProgramCache(this._gl);
+
+            if (this._options.statistics) {
+                this._state.statistics = new StateStatistics();
+            }
+
+            if (this._options.autoResize) {
+                this._resizeManager = new ResizeManager(this, {
+                    pixelRatio: this._options.pixelRatio,
+                    maxPixelRatio: this._options.maxPixelRatio,
+                    onResize: this._options.onResize,
+                });
+                this._resizeManager.start();
+            }
             return true;
         }
 
@@ -118,6 +265,41 @@ export default class Renderer {
         return this._gl;
     }
 
+    /**
+     * Retrieves the object that checks each call made to the context for errors.
+     * The debug context is only created when the renderer is initialized with the 'debug' option, its errors
+     * property contains the errors reported while the 'debugMode' option is DebugMode.Collect.
+     * @returns {DebugContext|null} The debug context or null if debugging is not enabled.
+     */
+    get debugContext() {
+        return this._debugContext;
+    }
+
+    /**
+     * Retrieves the cache used to share programs between users requesting the same shader source.
+     * @returns {ProgramCache|null} The program cache or null if the renderer has not been initialized.
+     */
+    get programCache() {
+        return this._programCache;
+    }
+
+    /**
+     * Retrieves the capabilities and limits of the device, these are read when the renderer is initialized.
+     * @returns {Capabilities|null} The device capabilities or null if the renderer has not been initialized.
+     */
+    get capabilities() {
+        return this._capabilities;
+    }
+
+    /**
+     * Retrieves the object that keeps the drawing buffer sized to the canvas.
+     * The resize manager is only created when the renderer is initialized with the 'autoResize' option.
+     * @returns {ResizeManager|null} The resize manager or null if automatic resizing is not enabled.
+     */
+    get resizeManager() {
+        return this._resizeManager;
+    }
+
     /**
      * Determines whether or not Vertex Array Objects (VAO) are supported by the current device.
      * @return {boolean} True if vertex array objects are supported otherwise false.
@@ -126,6 +308,64 @@ export default class Renderer {
         return this._vaoEnabled;
     }
 
+    /**
+     * Determines whether or not instanced rendering is supported by the current device.
+     * @returns {boolean} True if instanced rendering is supported otherwise false.
+     */
+    get supportsInstancing() {
+        return !!this._gl && (!!this._gl.drawArraysInstanced || !!this._ANGLE_instanced_arrays);
+    }
+
+    /**
+     * Determines whether or not the current device can submit multiple draws with a single call (WEBGL_multi_draw).
+     * When not supported, the multi-draw methods fall back to issuing each draw individually.
+     * @returns {boolean} True if multi-draw is supported otherwise false.
+     */
+    get supportsMultiDraw() {
+        return !!this._WEBGL_multi_draw;
+    }
+
+    /**
+     * Determines whether or not 32-bit indices (IndexType.UInt32) are supported by the current device.
+     * @returns {boolean} True if 32-bit indices are supported otherwise false.
+     */
+    get supportsUint32Indices() {
+        return this._state.supportsUint32Indices;
+    }
+
+    /**
+     * Determines whether or not the WebGL context is currently lost.
+     * While the context is lost all rendering calls are ignored by WebGL.
+     * @returns {boolean} True if the context has been lost and not yet restored otherwise false.
+     */
+    get contextLost() {
+        return this._contextLost;
+    }
+
+    /**
+     * Retrieves the registry that tracks the resources created against the renderers context.
+     * Resources register themselves when they are initialized and are removed when they are disposed.
+     * @returns {ResourceRegistry}
+     */
+    get resources() {
+        return this._resources;
+    }
+
+    /**
+     * Forces a loss of the WebGL context using the WEBGL_lose_context extension, this is intended for testing the
+     * applications context loss handling.
+     */
+    loseContext() {
+        this._getLoseContextExtension().loseContext();
+    }
+
+    /**
+     * Restores a WebGL context previously lost with loseContext, using the WEBGL_lose_context extension.
+     */
+    restoreContext() {
+        this._getLoseContextExtension().restoreContext();
+    }
+
     /**
      * Retrieves the HTMLCanvasElement the renderer is using.
      * @returns {HTMLCanvasElement|null}
@@ -135,6 +375,184 @@ export default class Renderer {
     }
 
 
+    /**
+     * Retrieves the state change statistics collected by the WebGLState object.
+     * Statistics are only collected when the renderer is initialized with the 'statistics' option.
+     * @returns {StateStatistics|null} The statistics collector, or null if statistics are not being collected.
+     */
+    get stateStatistics() {
+        return this._state.statistics;
+    }
+
+    /**
+     * Resets the state change statistics, this is usually called once per frame.
+     */
+    resetStateStatistics() {
+        if (this._state.statistics) {
+            this._state.statistics.reset();
+        }
+    }
+
+    /**
+     * Determines whether or not a frame is currently in progress (beginFrame has been called without endFrame).
+     * @returns {boolean} True if a frame is in progress otherwise false.
+     */
+    get frameActive() {
+        return this._frameActive;
+    }
+
+    /**
+     * Retrieves the draw statistics of the last completed frame.
+     * The returned object is not modified until the next call to endFrame.
+     * @returns {DrawInformation} The draw statistics of the last completed frame.
+     */
+    get frameStatistics() {
+        return this._drawInformation[1 - this._drawIndex];
+    }
+
+    /**
+     * Retrieves the draw statistics of the most recently completed frames, ordered from oldest to newest.
+     * The number of frames retained is controlled by the 'frameHistory' option.
+     * @returns {DrawInformation[]} Copy of the draw statistics history.
+     */
+    get frameHistory() {
+        return this._frameHistory.slice();
+    }
+
+    /**
+     * Begins a new frame, the draw statistics (and state statistics, if enabled) are reset.
+     */
+    beginFrame() {
+        if (this._frameActive) {
+            throw new Error('beginFrame called while a frame is already in progress.');
+        }
+
+        const info = this._drawInformation[this._drawIndex];
+
+        info.frame = ++this._frameNumber;
+        info.drawCalls = 0;
+        info.indexedCalls = 0;
+        info.instancedCalls = 0;
+        info.pointCount = 0;
+        info.lineCount = 0;
+        info.triangleCount = 0;
+
+        this.resetStateStatistics();
+        this._frameActive = true;
+    }
+
+    /**
+     * Completes the current frame, its draw statistics become available through frameStatistics and frameHistory.
+     */
+    endFrame() {
+        if (!this._frameActive) {
+            throw new Error('endFrame called without a matching beginFrame.');
+        }
+
+        const info = this._drawInformation[this._drawIndex];
+
+        const historyLength = this._options ? this._options.frameHistory : DEFAULT_OPTIONS.frameHistory;
+        if (historyLength > 0) {
+            this._frameHistory.push(copyDrawInformation(info));
+            if (this._frameHistory.length > historyLength) {
+                this._frameHistory.splice(0, this._frameHistory.length - historyLength);
+            }
+        }
+
+        this._drawIndex = 1 - this._drawIndex;
+        this._frameActive = false;
+    }
+
+    /**
+     * Clears the buffers of the currently bound frame buffer.
+     * The clear values are applied through the state manager, so unchanged values are not sent to the context.
+     * Any write masks that would prevent the selected buffers from being cleared are temporarily enabled and
+     * restored once the clear is complete.
+     * @param {number} flags - Combination of ClearFlags selecting the buffers to be cleared.
+     * @param {object=} values - Optional values the buffers are cleared to, values that are not supplied use
+     * the clear values currently applied to the context.
+     * @param {number[]=} values.color - The colour the colour buffer is cleared to [r, g, b, a].
+     * @param {number=} values.depth - The value the depth buffer is cleared to.
+     * @param {number=} values.stencil - The value the stencil buffer is cleared to.
+     */
+    clear(flags, values = {}) {
+        /* eslint-disable no-bitwise */
+        if (flags & ClearFlags.Color && values.color) {
+            this._state.setClearColor(values.color[0], values.color[1], values.color[2], values.color[3]);
+        }
+
+        if (flags & ClearFlags.Depth && values.depth !== undefined) {
+            this._state.clearDepth = values.depth;
+        }
+
+        if (flags & ClearFlags.Stencil && values.stencil !== undefined) {
+            this._state.clearStencil = values.stencil;
+        }
+        /* eslint-enable no-bitwise */
+
+        const mask = clearFlagsToWebGL(this._gl, flags);
+        if (mask) {
+            const masks = this._enableWriteMasks(flags);
+            this._gl.clear(mask);
+            this._restoreWriteMasks(masks);
+        }
+    }
+
+    /**
+     * Clears a single colour attachment of the currently bound frame buffer (WebGL2 only).
+     * The clear is performed with clearBufferfv, clearBufferiv or clearBufferuiv depending on the type of the
+     * supplied colour, which must match the format of the attachment.
+     * @param {number} drawBuffer - Index of the draw buffer to be cleared.
+     * @param {number[]|Float32Array|Int32Array|Uint32Array} color - The colour the attachment is cleared to.
+     */
+    clearColorBuffer(drawBuffer, color) {
+        const gl = this._gl;
+        if (!gl.clearBufferfv) {
+            throw new Error('clearColorBuffer requires a WebGL2 context.');
+        }
+
+        const masks = this._enableWriteMasks(ClearFlags.Color);
+
+        if (color instanceof Int32Array) {
+            gl.clearBufferiv(gl.COLOR, drawBuffer, color);
+        } else if (color instanceof Uint32Array) {
+            gl.clearBufferuiv(gl.COLOR, drawBuffer, color);
+        } else {
+            gl.clearBufferfv(gl.COLOR, drawBuffer, color);
+        }
+
+        this._restoreWriteMasks(masks);
+    }
+
+    /**
+     * Clears the depth and/or stencil attachment of the currently bound frame buffer (WebGL2 only).
+     * @param {number=} depth - The value the depth attachment is cleared to, if undefined depth is not cleared.
+     * @param {number=} stencil - The value the stencil attachment is cleared to, if undefined stencil is not cleared.
+     */
+    clearDepthStencilBuffer(depth, stencil) {
+        const gl = this._gl;
+        if (!gl.clearBufferfi) {
+            throw new Error('clearDepthStencilBuffer requires a WebGL2 context.');
+        }
+
+        const clearDepth = depth !== undefined;
+        const clearStencil = stencil !== undefined;
+
+        const depthFlag = clearDepth ? ClearFlags.Depth : ClearFlags.None;
+        const stencilFlag = clearStencil ? ClearFlags.Stencil : ClearFlags.None;
+        const masks = this._enableWriteMasks(depthFlag | stencilFlag); // eslint-disable-line no-bitwise
+
+        if (clearDepth && clearStencil) {
+            gl.clearBufferfi(gl.DEPTH_STENCIL, 0, depth, stencil);
+        } else if (clearDepth) {
+            gl.clearBufferfv(gl.DEPTH, 0, [depth]);
+        } else if (clearStencil) {
+            gl.clearBufferiv(gl.STENCIL, 0, [stencil]);
+        }
+
+        this._restoreWriteMasks(masks);
+    }
+
     // noinspection JSMethodCanBeStatic
     createVertexArray() { // eslint-disable-line class-methods-use-this
         throw new Error('Not implemented');
@@ -164,110 +582,452 @@ export default class Renderer {
      * @param {number} startVertex - Index of the first vertex to be rendered.
      */
     drawPrimitive(primitiveType, startVertex, primitiveCount) {
-        this._drawInformation.drawCalls++;
+        const info = this._drawInformation[this._drawIndex];
+        const primitive = resolvePrimitive(this._gl, primitiveType, primitiveCount);
 
-        switch (primitiveType) {
-            case PrimitiveType.PointList:
-                this._drawInformation.pointCount += primitiveCount;
-                this._gl.drawArrays(this._gl.POINTS, startVertex, primitiveCount);
-                break;
+        info.drawCalls++;
+        info[primitive.statistic] += primitiveCount;
 
-            case PrimitiveType.LineList:
-                this._drawInformation.lineCount += primitiveCount;
-                this._gl.drawArrays(this._gl.LINES, startVertex, primitiveCount * 2);
-                break;
+        this._gl.drawArrays(primitive.mode, startVertex, primitive.count);
 
-            case PrimitiveType.LineStrip:
-                this._drawInformation.lineCount += primitiveCount;
-                this._gl.drawArrays(this._gl.LINE_STRIP, startVertex, primitiveCount + 1);
-                break;
+        this._checkError('drawArrays');
+    }
+
+    /**
+     * Renders a set of indexed primitives using the currently bound element array buffer.
+     * The index type is taken from the bound buffer (see WebGLState.bindElementArrayBuffer), UInt16 is assumed
+     * if it is not known.
+     * @param {number} primitiveType - The type of primitive to be rendered.
+     * @param {number} primitiveCount - The number of primitives to be rendered.
+     * @param {number} startIndex - The first index in the element array buffer to be used.
+     */
+    drawIndexedPrimitive(primitiveType, primitiveCount, startIndex) {
+        const info = this._drawInformation[this._drawIndex];
+        const primitive = resolvePrimitive(this._gl, primitiveType, primitiveCount);
+
+        const indices = this._resolveIndices(startIndex);
+
+        info.drawCalls++;
+        info.indexedCalls++;
+        info[primitive.statistic] += primitiveCount;
 
-            case PrimitiveType.TriangleList:
-                this._drawInformation.triangleCount += primitiveCount;
-                this._gl.drawArrays(this._gl.TRIANGLES, startVertex, primitiveCount * 3);
-                break;
+        this._gl.drawElements(primitive.mode, primitive.count, indices.type, indices.offset);
 
-            case PrimitiveType.TriangleStrip:
-                this._drawInformation.lineCount += primitiveCount;
-                this._gl.drawArrays(this._gl.TRIANGLE_STRIP, startVertex, primitiveCount + 2);
-                break;
+        this._checkError('drawElements');
+    }
 
-            default:
-                throw new Error('Unknown primitive type.');
+    /**
+     * Renders a set of indexed primitives whose indices only reference vertices within the specified range.
+     * The range allows WebGL2 devices to avoid validating the entire vertex buffer, on WebGL1 devices the range
+     * is ignored and the primitives are rendered with drawIndexedPrimitive.
+     * @param {number} primitiveType - The type of primitive to be rendered.
+     * @param {number} primitiveCount - The number of primitives to be rendered.
+     * @param {number} startIndex - The first index in the element array buffer to be used.
+     * @param {number} minVertex - The smallest vertex index referenced by the indices.
+     * @param {number} maxVertex - The largest vertex index referenced by the indices.
+     */
+    drawRangeIndexedPrimitive(primitiveType, primitiveCount, startIndex, minVertex, maxVertex) {
+        if (!this._gl.drawRangeElements) {
+            this.drawIndexedPrimitive(primitiveType, primitiveCount, startIndex);
+            return;
         }
 
-        if (this._gl.getError() !== this._gl.NO_ERROR) {
-            throw new Error('drawArrays failed.');
+        const info = this._drawInformation[this._drawIndex];
+        const primitive = resolvePrimitive(this._gl, primitiveType, primitiveCount);
+        const indices = this._resolveIndices(startIndex);
+
+        info.drawCalls++;
+        info.indexedCalls++;
+        info[primitive.statistic] += primitiveCount;
+
+        this._gl.drawRangeElements(
+            primitive.mode,
+            minVertex,
+            maxVertex,
+            primitive.count,
+            indices.type,
+            indices.offset,
+        );
+
+        this._checkError('drawRangeElements');
+    }
+
+    /**
+     * Renders several sets of non-indexed primitives from the currently bound vertex data.
+     * If WEBGL_multi_draw is available the draws are submitted with a single call, otherwise each draw is
+     * issued with drawPrimitive. In both cases the draw statistics count each draw separately.
+     * @param {number} primitiveType - The type of primitive to be rendered.
+     * @param {number[]|Int32Array} startVertices - Index of the first vertex of each draw.
+     * @param {number[]|Int32Array} primitiveCounts - The number of primitives rendered by each draw.
+     * @param {number=} drawCount - The number of draws to be submitted, defaults to the length of startVertices.
+     */
+    multiDrawPrimitive(primitiveType, startVertices, primitiveCounts, drawCount = startVertices.length) {
+        if (!this._WEBGL_multi_draw) {
+            for (let loop = 0; loop < drawCount; ++loop) {
+                this.drawPrimitive(primitiveType, startVertices[loop], primitiveCounts[loop]);
+            }
+            return;
+        }
+
+        const info = this._drawInformation[this._drawIndex];
+        const firsts = new Int32Array(drawCount);
+        const counts = new Int32Array(drawCount);
+        let mode = 0;
+
+        for (let loop = 0; loop < drawCount; ++loop) {
+            const primitive = resolvePrimitive(this._gl, primitiveType, primitiveCounts[loop]);
+
+            mode = primitive.mode;
+            firsts[loop] = startVertices[loop];
+            counts[loop] = primitive.count;
+
+            info.drawCalls++;
+            info[primitive.statistic] += primitiveCounts[loop];
+        }
+
+        if (drawCount > 0) {
+            this._WEBGL_multi_draw.multiDrawArraysWEBGL(mode, firsts, 0, counts, 0, drawCount);
+
+            this._checkError('multiDrawArrays');
         }
     }
 
     /**
-     *
-     * NOTE: drawIndexedPrimitive uses a constant index type of UNSIGNED_SHORT. It may be, in the future, the call
-     *       is updated to accept the index type as a parameter or an alternative method is supplied.
-     *       Just haven't decided yet.
+     * Renders several sets of indexed primitives from the currently bound element array buffer.
+     * If WEBGL_multi_draw is available the draws are submitted with a single call, otherwise each draw is
+     * issued with drawIndexedPrimitive. In both cases the draw statistics count each draw separately.
      * @param {number} primitiveType - The type of primitive to be rendered.
-     * @param {number} primitiveCount - The number of primitives to be rendered.
+     * @param {number[]|Int32Array} primitiveCounts - The number of primitives rendered by each draw.
+     * @param {number[]|Int32Array} startIndices - The first index in the element array buffer used by each draw.
+     * @param {number=} drawCount - The number of draws to be submitted, defaults to the length of primitiveCounts.
+     */
+    multiDrawIndexedPrimitive(primitiveType, primitiveCounts, startIndices, drawCount = primitiveCounts.length) {
+        if (!this._WEBGL_multi_draw) {
+            for (let loop = 0; loop < drawCount; ++loop) {
+                this.drawIndexedPrimitive(primitiveType, primitiveCounts[loop], startIndices[loop]);
+            }
+            return;
+        }
+
+        const info = this._drawInformation[this._drawIndex];
+        const counts = new Int32Array(drawCount);
+        const offsets = new Int32Array(drawCount);
+        let mode = 0;
+        let indexType = 0;
+
+        for (let loop = 0; loop < drawCount; ++loop) {
+            const primitive = resolvePrimitive(this._gl, primitiveType, primitiveCounts[loop]);
+            const indices = this._resolveIndices(startIndices[loop]);
+
+            mode = primitive.mode;
+            indexType = indices.type;
+            counts[loop] = primitive.count;
+            offsets[loop] = indices.offset;
+
+            info.drawCalls++;
+            info.indexedCalls++;
+            info[primitive.statistic] += primitiveCounts[loop];
+        }
+
+        if (drawCount > 0) {
+            this._WEBGL_multi_draw.multiDrawElementsWEBGL(mode, counts, 0, indexType, offsets, 0, drawCount);
+
+            this._checkError('multiDrawElements');
+        }
+    }
+
+    /**
+     * Renders multiple instances of a set of non-indexed primitives. Attributes with a non-zero divisor advance
+     * once per instance rather than once per vertex.
+     * @param {number} primitiveType - The type of primitive to be rendered.
+     * @param {number} startVertex - Index of the first vertex to be rendered.
+     * @param {number} primitiveCount - The number of primitives to be rendered for each instance.
+     * @param {number} instanceCount - The number of instances to be rendered.
+     */
+    drawInstancedPrimitive(primitiveType, startVertex, primitiveCount, instanceCount) {
+        const info = this._drawInformation[this._drawIndex];
+        const primitive = resolvePrimitive(this._gl, primitiveType, primitiveCount);
+
+        if (this._gl.drawArraysInstanced) {
+            this._gl.drawArraysInstanced(primitive.mode, startVertex, primitive.count, instanceCount);
+        } else if (this._ANGLE_instanced_arrays) {
+            this._ANGLE_instanced_arrays.drawArraysInstancedANGLE(
+                primitive.mode,
+                startVertex,
+                primitive.count,
+                instanceCount,
+            );
+        } else {
+            throw new Error('Instanced rendering is not supported by the current device.');
+        }
+
+        info.drawCalls++;
+        info.instancedCalls++;
+        info[primitive.statistic] += primitiveCount * instanceCount;
+
+        this._checkError('drawArraysInstanced');
+    }
+
+    /**
+     * Renders multiple instances of a set of indexed primitives. Attributes with a non-zero divisor advance
+     * once per instance rather than once per vertex.
+     * As with drawIndexedPrimitive, the index type is taken from the bound element array buffer.
+     * @param {number} primitiveType - The type of primitive to be rendered.
+     * @param {number} primitiveCount - The number of primitives to be rendered for each instance.
      * @param {number} startIndex - The first index in the element array buffer to be used.
+     * @param {number} instanceCount - The number of instances to be rendered.
      */
-    drawIndexedPrimitive(primitiveType, primitiveCount, startIndex) {
-        this._drawInformation.drawCalls++;
-        this._drawInformation.indexedCalls++;
-
-        switch (primitiveType) {
-            case PrimitiveType.PointList:
-                this._drawInformation.pointCount += primitiveCount;
-                this._gl.drawElements(
-                    this._gl.POINTS,
-                    primitiveCount,
-                    this._gl.UNSIGNED_SHORT,
-                    startIndex * 2,
-                );
-                break;
-
-            case PrimitiveType.LineList:
-                this._drawInformation.lineCount += primitiveCount;
-                this._gl.drawElements(
-                    this._gl.LINES,
-                    primitiveCount * 2,
-                    this._gl.UNSIGNED_SHORT,
-                    startIndex * 2,
-                );
-                break;
-
-            case PrimitiveType.LineStrip:
-                this._drawInformation.lineCount += primitiveCount;
-                this._gl.drawElements(
-                    this._gl.LINE_STRIP,
-                    primitiveCount + 1,
-                    this._gl.UNSIGNED_SHORT,
-                    startIndex * 2,
-                );
-                break;
-
-            case PrimitiveType.TriangleList:
-                this._drawInformation.triangleCount += primitiveCount;
-                this._gl.drawElements(
-                    this._gl.TRIANGLES,
-                    primitiveCount * 3,
-                    this._gl.UNSIGNED_SHORT,
-                    startIndex * 2,
-                );
-                break;
-
-            case PrimitiveType.TriangleStrip:
-                this._drawInformation.lineCount += primitiveCount;
-                this._gl.drawElements(
-                    this._gl.TRIANGLE_STRIP,
-                    primitiveCount + 2,
-                    this._gl.UNSIGNED_SHORT,
-                    startIndex * 2,
-                );
-                break;
-
-            default:
-                throw new Error('Unknown primitive type.');
+    drawIndexedInstancedPrimitive(primitiveType, primitiveCount, startIndex, instanceCount) {
+        const info = this._drawInformation[this._drawIndex];
+        const primitive = resolvePrimitive(this._gl, primitiveType, primitiveCount);
+        const indices = this._resolveIndices(startIndex);
+
+        if (this._gl.drawElementsInstanced) {
+            this._gl.drawElementsInstanced(
+                primitive.mode,
+                primitive.count,
+                indices.type,
+                indices.offset,
+                instanceCount,
+            );
+        } else if (this._ANGLE_instanced_arrays) {
+            this._ANGLE_instanced_arrays.drawElementsInstancedANGLE(
+                primitive.mode,
+                primitive.count,
+                indices.type,
+                indices.offset,
+                instanceCount,
+            );
+        } else {
+            throw new Error('Instanced rendering is not supported by the current device.');
+        }
+
+        info.drawCalls++;
+        info.indexedCalls++;
+        info.instancedCalls++;
+        info[primitive.statistic] += primitiveCount * instanceCount;
+
+        this._checkError('drawElementsInstanced');
+    }
+
+    /**
+     * Retrieves the extensions used by the renderer and selects the vertex array implementation.
+     * Called when the renderer is initialized and again when the context is restored.
+     * @private
+     */
+    _initializeExtensions() {
+        const gl = this._gl;
+
+        this._vaoEnabled = false;
+        this._OES_vertex_array_object = null;
+        this._ANGLE_instanced_arrays = null;
+
+        const version = gl.getParameter(gl.VERSION);
+        if (version.indexOf('WebGL 1.0') !== -1) {
+            this._ANGLE_instanced_arrays = gl.getExtension(Extension.ANGLE_instanced_arrays);
+
+            // We only allow disabling of VAO in WebGL1 as it is always present in V2 devices
+            if (!this._options.disableVAO) {
+                this._OES_vertex_array_object = gl.getExtension(Extension.OES_vertex_array_object);
+                if (this._OES_vertex_array_object) {
+                    this._vaoEnabled = true;
+                    this.createVertexArray = this._createVertexArrayOES;
+                    this.deleteVertexArray = this._deleteVertexArrayOES;
+                }
+            }
+        } else {
+            this._vaoEnabled = true;
+            this.createVertexArray = this._createVertexArray;
+            this.deleteVertexArray = this._deleteVertexArray;
         }
+
+        this._WEBGL_multi_draw = gl.getExtension(Extension.WEBGL_multi_draw);
+        this._WEBGL_lose_context = gl.getExtension(Extension.WEBGL_lose_context);
+    }
+
+    /**
+     * Throws an error if the WebGL context reports an error, errors caused by a lost context are ignored as the
+     * loss is reported through the webglcontextlost event.
+     * @param {string} operation - Name of the operation being checked, used in the error message.
+     * @private
+     */
+    _checkError(operation) {
+        const error = this._gl.getError();
+        if (error !== this._gl.NO_ERROR && error !== this._gl.CONTEXT_LOST_WEBGL) {
+            throw new Error(`${operation} failed (${getErrorName(this._gl, error)}).`);
+        }
+    }
+
+    /**
+     * Retrieves the WEBGL_lose_context extension, throwing an error if it is not available.
+     * @returns {WEBGL_lose_context} The WEBGL_lose_context extension object.
+     * @private
+     */
+    _getLoseContextExtension() {
+        if (!this._WEBGL_lose_context) {
+            throw new Error('WEBGL_lose_context is not supported by the current device.');
+        }
+
+        return this._WEBGL_lose_context;
+    }
+
+    /**
+     * Called when the canvas reports the WebGL context has been lost.
+     * @param {WebGLContextEvent} event - The webglcontextlost event.
+     * @private
+     */
+    _handleContextLost(event) {
+        // The context is only restored if the default behaviour of the event is prevented
+        event.preventDefault();
+
+        this._contextLost = true;
+        this._state.invalidate();
+
+        if (typeof this._options.onContextLost === 'function') {
+            this._options.onContextLost(this);
+        }
+    }
+
+    /**
+     * Called when the canvas reports the WebGL context has been restored, all extensions are retrieved again and
+     * the registered resources are recreated before the application is notified. Resources that could not be
+     * restored are reported to the console and passed to the onContextRestored callback as its second argument.
+     * @private
+     */
+    _handleContextRestored() {
+        this._contextLost = false;
+
+        this._initializeExtensions();
+        this._capabilities = new Capabilities(this._gl);
+        this._state.initialize(this._gl);
+        this._state.invalidate();
+
+        const failures = this._resources.restore(this._gl);
+
+        // Resources bind themselves directly while being restored
+        this._state.invalidate();
+
+        if (failures.length > 0) {
+            /* eslint-disable no-console */
+            console.warn(`Context restored with ${failures.length} resource(s) that could not be restored.`);
+
+            failures.forEach((failure) => {
+                const label = failure.label ? ` '${failure.label}'` : '';
+                console.warn(`Failed to restore ${failure.type}${label}: ${failure.error.message}`);
+            });
+            /* eslint-enable no-console */
+        }
+
+        if (typeof this._options.onContextRestored === 'function') {
+            this._options.onContextRestored(this, failures);
+        }
+    }
+
+    /**
+     * Enables any write masks that would prevent the selected buffers from being cleared.
+     * @param {number} flags - Combination of ClearFlags selecting the buffers to be cleared.
+     * @returns {{colorMask: boolean[]|null, depthWrite: boolean|null, stencilWriteMask: number|null}} The masks
+     * that were changed, with their previous values, to be passed to _restoreWriteMasks.
+     * @private
+     */
+    _enableWriteMasks(flags) {
+        const state = this._state;
+        const masks = {
+            colorMask: null,
+            depthWrite: null,
+            stencilWriteMask: null,
+        };
+
+        /* eslint-disable no-bitwise */
+        if (flags & ClearFlags.Color) {
+            const { colorMask } = state;
+            if (!colorMask[0] || !colorMask[1] || !colorMask[2] || !colorMask[3]) {
+                masks.colorMask = colorMask;
+                state.setColorMask(true, true, true, true);
+            }
+        }
+
+        if (flags & ClearFlags.Depth && !state.depthWrite) {
+            masks.depthWrite = false;
+            state.depthWrite = true;
+        }
+
+        if (flags & ClearFlags.Stencil) {
+            const { stencilWriteMask } = state;
+            if ((stencilWriteMask & 0xFF) !== 0xFF) {
+                masks.stencilWriteMask = stencilWriteMask;
+                state.setStencilMaskNative(this._gl.FRONT, 0xFF);
+            }
+        }
+        /* eslint-enable no-bitwise */
+
+        return masks;
+    }
+
+    /**
+     * Restores the write masks changed by _enableWriteMasks.
+     * @param {{colorMask: boolean[]|null, depthWrite: boolean|null, stencilWriteMask: number|null}} masks - The
+     * masks returned by _enableWriteMasks.
+     * @private
+     */
+    _restoreWriteMasks(masks) {
+        const state = this._state;
+
+        if (masks.colorMask) {
+            state.setColorMask(masks.colorMask[0], masks.colorMask[1], masks.colorMask[2], masks.colorMask[3]);
+        }
+
+        if (masks.depthWrite !== null) {
+            state.depthWrite = masks.depthWrite;
+        }
+
+        if (masks.stencilWriteMask !== null) {
+            state.setStencilMaskNative(this._gl.FRONT, masks.stencilWriteMask);
+        }
+    }
+
+    /**
+     * Writes a description of each resource that is still alive to the console.
+     * Creation stack traces are included when the renderer was initialized with the 'debugResources' option.
+     * @private
+     */
+    _reportLeaks() {
+        const counts = this._resources.counts();
+        const summary = Object.keys(counts)
+            .filter((type) => counts[type] > 0)
+            .map((type) => `${type}: ${counts[type]}`)
+            .join(', ');
+
+        /* eslint-disable no-console */
+        console.warn(`Renderer disposed with ${this._resources.size} resource(s) still alive (${summary}).`);
+
+        this._resources.getLeakReport().forEach((leak) => {
+            const label = leak.label ? ` '${leak.label}'` : '';
+            const owner = leak.owner ? ` owned by ${leak.owner}` : '';
+
+            console.warn(`Leaked ${leak.type}${label}${owner}.${leak.stack ? `\n${leak.stack}` : ''}`);
+        });
+        /* eslint-enable no-console */
+    }
+
+    /**
+     * Determines the WebGL index type and the byte offset of the first index within the bound element array buffer.
+     * @param {number} startIndex - The first index in the element array buffer to be used.
+     * @returns {{type: number, offset: number}} The WebGL index type and byte offset of the first index.
+     * @private
+     */
+    _resolveIndices(startIndex) {
+        const { elementIndexType } = this._state;
+        const indexType = elementIndexType !== undefined ? elementIndexType : IndexType.UInt16;
+
+        if (indexType === IndexType.UInt32 && !this._state.supportsUint32Indices) {
+            throw new Error('32-bit indices are not supported by the current device.');
+        }
+
+        return {
+            type: indexTypeToWebGL(this._gl, indexType),
+            offset: startIndex * getIndexTypeSize(indexType),
+        };
     }
 
     /**
@@ -0,0 +1,179 @@
+const DEFAULT_OPTIONS = {
+    pixelRatio: null,
+    maxPixelRatio: 2,
+    onResize: null,
+};
+
+/**
+ * Keeps the size of a canvas's drawing buffer in step with the size it is displayed at.
+ *
+ * The display (CSS) size of the canvas is observed, using a ResizeObserver where available or the window resize
+ * event otherwise. When it changes, the drawing buffer is resized to the display size multiplied by the pixel
+ * ratio, the default viewport of the state manager is updated and the application is notified.
+ */
+export default class ResizeManager {
+    /**
+     * @param {Renderer} renderer - The renderer whose canvas is to be managed.
+     * @param {object=} options - Options for the resize manager.
+     * @param {number|null=} options.pixelRatio - Ratio of drawing buffer pixels to CSS pixels, if null the
+     * devicePixelRatio of the window is used.
+     * @param {number=} options.maxPixelRatio - Upper limit of the pixel ratio, used to cap the resolution on high
+     * density displays. The default is 2.
+     * @param {function=} options.onResize - Called with (width, height, renderer) when the drawing buffer is resized.
+     */
+    constructor(renderer, options) {
+        if (!renderer || !renderer.canvas) {
+            throw new Error('ResizeManager requires an initialized renderer.');
+        }
+
+        this._renderer = renderer;
+        this._options = {};
+        Object.keys(DEFAULT_OPTIONS).forEach((key) => {
+            this._options[key] = options && options[key] !== undefined ? options[key] : DEFAULT_OPTIONS[key];
+        });
+
+        this._observer = null;
+        this._windowListener = null;
+        this._width = 0;
+        this._height = 0;
+    }
+
+    /**
+     * Stops observing the canvas and releases the renderer.
+     */
+    dispose() {
+        this.stop();
+        this._renderer = null;
+    }
+
+    /**
+     * Width of the drawing buffer, as last applied by the resize manager.
+     * @returns {number}
+     */
+    get width() {
+        return this._width;
+    }
+
+    /**
+     * Height of the drawing buffer, as last applied by the resize manager.
+     * @returns {number}
+     */
+    get height() {
+        return this._height;
+    }
+
+    /**
+     * The ratio of drawing buffer pixels to CSS pixels currently in use, after maxPixelRatio has been applied.
+     * @returns {number}
+     */
+    get pixelRatio() {
+        let ratio = this._options.pixelRatio;
+        if (typeof ratio !== 'number') {
+            ratio = typeof window !== 'undefined' && window.devicePixelRatio ? window.devicePixelRatio : 1;
+        }
+
+        return Math.min(ratio, this._options.maxPixelRatio);
+    }
+
+    /**
+     * Changes the pixel ratio used by the resize manager and resizes the drawing buffer if required.
+     * @param {number|null} ratio - Ratio of drawing buffer pixels to CSS pixels, null to use the devicePixelRatio.
+     */
+    set pixelRatio(ratio) {
+        this._options.pixelRatio = ratio;
+        this.update();
+    }
+
+    /**
+     * The upper limit of the pixel ratio.
+     * @returns {number}
+     */
+    get maxPixelRatio() {
+        return this._options.maxPixelRatio;
+    }
+
+    /**
+     * Changes the upper limit of the pixel ratio and resizes the drawing buffer if required.
+     * @param {number} ratio - The maximum ratio of drawing buffer pixels to CSS pixels.
+     */
+    set maxPixelRatio(ratio) {
+        this._options.maxPixelRatio = ratio;
+        this.update();
+    }
+
+    /**
+     * Begins observing the display size of the canvas, the drawing buffer is sized immediately.
+     */
+    start() {
+        if (this._observer || this._windowListener) {
+            return;
+        }
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this._observer = new ResizeObserver(() => this.update());
+            this._observer.observe(this._renderer.canvas);
+        } else if (typeof window !== 'undefined') {
+            this._windowListener = () => this.update();
+            window.addEventListener('resize', this._windowListener, false);
+        }
+
+        this.update();
+    }
+
+    /**
+     * Stops observing the display size of the canvas.
+     */
+    stop() {
+        if (this._observer) {
+            this._observer.disconnect();
+            this._observer = null;
+        }
+
+        if (this._windowListener) {
+            window.removeEventListener('resize', this._windowListener, false);
+            this._windowListener = null;
+        }
+    }
+
+    /**
+     * Resizes the drawing buffer to match the current display size of the canvas, if it has changed.
+     * This is called automatically while the canvas is observed but may also be called directly.
+     * @returns {boolean} True if the drawing buffer was resized otherwise false.
+     */
+    update() {
+        const renderer = this._renderer;
+        if (!renderer || !renderer.canvas) {
+            return false;
+        }
+
+        const { canvas, capabilities } = renderer;
+        const ratio = this.pixelRatio;
+
+        let width = Math.max(1, Math.floor(canvas.clientWidth * ratio));
+        let height = Math.max(1, Math.floor(canvas.clientHeight * ratio));
+
+        // The drawing buffer cannot be larger than the largest viewport supported by the device
+        if (capabilities && capabilities.maxViewportDims.length === 2) {
+            width = Math.min(width, capabilities.maxViewportDims[0]);
+            height = Math.min(height, capabilities.maxViewportDims[1]);
+        }
+
+        if (width === canvas.width && height === canvas.height && width === this._width && height === this._height) {
+            return false;
+        }
+
+        canvas.width = width;
+        canvas.height = height;
+
+        this._width = width;
+        this._height = height;
+
+        renderer.state.setDefaultViewport(width, height);
+
+        if (typeof this._options.onResize === 'function') {
+            this._options.onResize(width, height, renderer);
+        }
+
+        return true;
+    }
+}
@@ -0,0 +1,359 @@
+/**
+ * This file contains the registry used to track the WebGL resources created against a rendering context.
+ * Resource wrappers register themselves when they are initialized and unregister when they are disposed, which
+ * allows the renderer to report resources that are still alive when it is disposed and to recreate resources
+ * after the context has been restored.
+ */
+
+/**
+ * The types of resource tracked by the registry.
+ */
+export const ResourceType = {
+    Buffer: 'Buffer',
+    Texture: 'Texture',
+    Shader: 'Shader',
+    Program: 'Program',
+    VertexArray: 'VertexArray',
+    FrameBuffer: 'FrameBuffer',
+};
+
+// Resources are restored in type order, so resources that reference other resources are restored last
+const RESTORE_ORDER = [
+    ResourceType.Buffer,
+    ResourceType.Texture,
+    ResourceType.Shader,
+    ResourceType.Program,
+    ResourceType.VertexArray,
+    ResourceType.FrameBuffer,
+];
+
+const registries = new WeakMap();
+
+/**
+ * @typedef {object} ResourceLeak
+ * @property {ResourceType} type - The type of resource that is still alive.
+ * @property {string|null} label - Debug label assigned to the resource, if any.
+ * @property {string|null} owner - Label (or type) of the resource that owns the leaked resource, if any.
+ * @property {string|null} stack - Stack trace captured when the resource was created, only available in debug mode.
+ */
+
+/**
+ * @typedef {object} RestoreFailure
+ * @property {object} resource - The resource that could not be restored.
+ * @property {ResourceType} type - The type of the resource.
+ * @property {string|null} label - Debug label assigned to the resource, if any.
+ * @property {Error} error - The error raised while restoring the resource.
+ */
+
+/**
+ * Tracks the resources that are alive on a WebGL rendering context.
+ */
+export default class ResourceRegistry {
+    /**
+     * @param {boolean=} debug - If true, a stack trace is captured whenever a resource is registered.
+     */
+    constructor(debug = false) {
+        this._gl = null;
+        this._debug = debug;
+        this._entries = new Map();
+    }
+
+    /**
+     * Determines whether or not stack traces are captured when resources are registered.
+     * @returns {boolean}
+     */
+    get debug() {
+        return this._debug;
+    }
+
+    /**
+     * Enables or disables the capture of stack traces when resources are registered.
+     * @param {boolean} enabled - True if stack traces are to be captured otherwise false.
+     */
+    set debug(enabled) {
+        this._debug = enabled;
+    }
+
+    /**
+     * The number of resources currently registered.
+     * @returns {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Associates the registry with a rendering context, resources initialized against the context will
+     * register with this registry.
+     * @param {WebGLRenderingContext} gl - The rendering context to be tracked.
+     */
+    attach(gl) {
+        if (!gl) {
+            throw new Error('Cannot attach resource registry without context.');
+        }
+
+        if (this._gl) {
+            throw new Error('Resource registry is already attached to a context.');
+        }
+
+        if (registries.has(gl)) {
+            throw new Error('Context already has a resource registry attached.');
+        }
+
+        registries.set(gl, this);
+        this._gl = gl;
+    }
+
+    /**
+     * Removes the association between the registry and its rendering context.
+     */
+    detach() {
+        if (this._gl) {
+            registries.delete(this._gl);
+            this._gl = null;
+        }
+    }
+
+    /**
+     * Adds a resource to the registry.
+     * @param {object} resource - The resource to be registered.
+     * @param {ResourceType} type - The type of the resource.
+     * @returns {boolean} True if the resource was registered, false if it was already registered.
+     */
+    add(resource, type) {
+        if (!resource) {
+            throw new Error('No resource supplied.');
+        }
+
+        if (RESTORE_ORDER.indexOf(type) === -1) {
+            throw new Error(`Unknown resource type '${type}'.`);
+        }
+
+        if (this._entries.has(resource)) {
+            return false;
+        }
+
+        this._entries.set(resource, {
+            type,
+            label: null,
+            owner: null,
+            stack: this._debug ? new Error().stack : null,
+        });
+
+        return true;
+    }
+
+    /**
+     * Removes a resource from the registry.
+     * @param {object} resource - The resource to be removed.
+     * @returns {boolean} True if the resource was registered otherwise false.
+     */
+    remove(resource) {
+        return this._entries.delete(resource);
+    }
+
+    /**
+     * Determines whether or not a resource is currently registered.
+     * @param {object} resource - The resource to be checked.
+     * @returns {boolean} True if the resource is registered otherwise false.
+     */
+    has(resource) {
+        return this._entries.has(resource);
+    }
+
+    /**
+     * Assigns a debug label to a registered resource, the label is included in the leak report.
+     * @param {object} resource - The resource to be labelled.
+     * @param {string|null} label - The label to be assigned.
+     */
+    setLabel(resource, label) {
+        this._getEntry(resource).label = label;
+    }
+
+    /**
+     * Retrieves the debug label assigned to a registered resource.
+     * @param {object} resource - The resource whose label is to be retrieved.
+     * @returns {string|null} The label of the resource, or null if no label has been assigned.
+     */
+    getLabel(resource) {
+        const entry = this._entries.get(resource);
+        return entry ? entry.label : null;
+    }
+
+    /**
+     * Marks a resource as being owned by another resource. Owned resources are restored by their owner rather
+     * than by the registry.
+     * @param {object} resource - The resource that is owned.
+     * @param {object} owner - The resource that owns it.
+     */
+    setOwner(resource, owner) {
+        this._getEntry(resource).owner = owner;
+    }
+
+    /**
+     * Retrieves the number of registered resources of the specified type.
+     * @param {ResourceType} type - The type of resource to be counted.
+     * @returns {number} The number of registered resources of the specified type.
+     */
+    count(type) {
+        let total = 0;
+
+        this._entries.forEach((entry) => {
+            if (entry.type === type) {
+                total++;
+            }
+        });
+
+        return total;
+    }
+
+    /**
+     * Retrieves the number of registered resources of each type.
+     * @returns {object} Object containing the number of resources registered for each ResourceType.
+     */
+    counts() {
+        const result = RESTORE_ORDER.reduce((counts, type) => {
+            counts[type] = 0;
+            return counts;
+        }, {});
+
+        this._entries.forEach((entry) => {
+            result[entry.type]++;
+        });
+
+        return result;
+    }
+
+    /**
+     * Recreates all registered resources after the rendering context has been restored.
+     * Resources owned by another resource are restored by their owner. A resource that fails to restore does not
+     * prevent the remaining resources from being restored, the failures are returned once all have been attempted.
+     * @param {WebGLRenderingContext} gl - The restored rendering context.
+     * @returns {RestoreFailure[]} Description of each resource that could not be restored.
+     */
+    restore(gl) {
+        const resources = [];
+
+        this._entries.forEach((entry, resource) => {
+            if (!entry.owner && typeof resource.restore === 'function') {
+                resources.push({
+                    resource,
+                    type: entry.type,
+                    label: entry.label,
+                    order: RESTORE_ORDER.indexOf(entry.type),
+                    index: resources.length,
+                });
+            }
+        });
+
+        const failures = [];
+
+        // Array.prototype.sort is not guaranteed to be stable, so registration order is used to break ties
+        resources
+            .sort((a, b) => a.order - b.order || a.index - b.index)
+            .forEach(({ resource, type, label }) => {
+                try {
+                    resource.restore(gl);
+                } catch (error) {
+                    failures.push({
+                        resource,
+                        type,
+                        label,
+                        error,
+                    });
+                }
+            });
+
+        return failures;
+    }
+
+    /**
+     * Describes each resource that is currently registered.
+     * @returns {ResourceLeak[]} Description of each registered resource.
+     */
+    getLeakReport() {
+        const report = [];
+
+        this._entries.forEach((entry) => {
+            const ownerEntry = entry.owner ? this._entries.get(entry.owner) : null;
+
+            report.push({
+                type: entry.type,
+                label: entry.label,
+                owner: ownerEntry ? ownerEntry.label || ownerEntry.type : null,
+                stack: entry.stack,
+            });
+        });
+
+        return report;
+    }
+
+    /**
+     * Removes all resources from the registry.
+     */
+    clear() {
+        this._entries.clear();
+    }
+
+    /**
+     * Retrieves the registry entry of a resource, throwing an error if it is not registered.
+     * @param {object} resource - The resource whose entry is to be retrieved.
+     * @returns {object} The registry entry of the resource.
+     * @private
+     */
+    _getEntry(resource) {
+        const entry = this._entries.get(resource);
+        if (!entry) {
+            throw new Error('Resource is not registered.');
+        }
+
+        return entry;
+    }
+}
+
+/**
+ * Retrieves the resource registry attached to a rendering context.
+ * @param {WebGLRenderingContext} gl - The rendering context.
+ * @returns {ResourceRegistry|null} The attached registry, or null if the context is not being tracked.
+ */
+export function getResourceRegistry(gl) {
+    return (gl && registries.get(gl)) || null;
+}
+
+/**
+ * Registers a resource with the registry attached to a rendering context, if there is one.
+ * @param {WebGLRenderingContext} gl - The rendering context the resource was created on.
+ * @param {object} resource - The resource to be registered.
+ * @param {ResourceType} type - The type of the resource.
+ */
+export function trackResource(gl, resource, type) {
+    const registry = getResourceRegistry(gl);
+    if (registry) {
+        registry.add(resource, type);
+    }
+}
+
+/**
+ * Removes a resource from the registry attached to a rendering context, if there is one.
+ * @param {WebGLRenderingContext} gl - The rendering context the resource was created on.
+ * @param {object} resource - The resource to be removed.
+ */
+export function untrackResource(gl, resource) {
+    const registry = getResourceRegistry(gl);
+    if (registry) {
+        registry.remove(resource);
+    }
+}
+
+/**
+ * Marks a resource as being owned by another resource, within the registry attached to a rendering context.
+ * @param {WebGLRenderingContext} gl - The rendering context the resources were created on.
+ * @param {object} resource - The resource that is owned.
+ * @param {object} owner - The resource that owns it.
+ */
+export function adoptResource(gl, resource, owner) {
+    const registry = getResourceRegistry(gl);
+    if (registry && registry.has(resource)) {
+        registry.setOwner(resource, owner);
+    }
+}
@@ -0,0 +1,26 @@
+import { parseInfoLog, formatInfoLog, formatSourceExcerpt } from './info_log';
+
+/**
+ * Raised when a shader fails to compile.
+ */
+export default class ShaderCompileError extends Error {
+    /**
+     * @param {string} stage - The shader stage that failed to compile, either 'vertex' or 'fragment'.
+     * @param {string|null} log - The info log reported by the driver.
+     * @param {string[]} contents - The source code of each source compiled, indexed by source string number.
+     * @param {string[]} names - Names of the sources compiled, indexed by source string number.
+     */
+    constructor(stage, log, contents, names) {
+        const entries = parseInfoLog(log);
+        const excerpt = formatSourceExcerpt(entries, contents, names);
+        const details = [formatInfoLog(entries, names), excerpt].filter((text) => text).join('\n\n');
+
+        super(`Failed to compile ${stage} shader.${details ? `\n${details}` : ''}`);
+
+        this.name = 'ShaderCompileError';
+        this.stage = stage;
+        this.log = log || '';
+        this.entries = entries;
+        this.excerpt = excerpt;
+    }
+}
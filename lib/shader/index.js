@@ -1,4 +1,8 @@
 
+import { ResourceType, trackResource, untrackResource } from '../resources';
+import preprocessShader from './preprocessor';
+import ShaderCompileError from './compile_error';
+
 export const InvalidShader = null;
 
 export default class Shader {
@@ -6,9 +10,22 @@ export default class Shader {
         this._gl = null;
         this._id = InvalidShader;
         this._type = 0;
+        this._source = null; // Retained so the shader can be restored after a context loss
+        this._sourceNames = [];
+        this._sourceContents = [];
     }
 
-    initialize(gl, type, source) {
+    /**
+     * Compiles the shader from the supplied source code.
+     * If preprocessor options are supplied, the source is processed (see preprocessShader) before it is compiled.
+     * @param {WebGLRenderingContext} gl - The WebGL context the shader is to be created on.
+     * @param {number} type - The type of shader, either VERTEX_SHADER or FRAGMENT_SHADER.
+     * @param {string} source - The source code of the shader.
+     * @param {PreprocessOptions=} options - Options for the shader preprocessor, if not specified the source is
+     * compiled as supplied.
+     * @throws {ShaderCompileError} If the shader fails to compile, the shader is disposed before the error is thrown.
+     */
+    initialize(gl, type, source, options) {
         if (!gl) {
             throw new Error('Shader.initialize - No WebGL context was specified.');
         }
@@ -17,24 +34,82 @@ export default class Shader {
             throw new Error('Shader.initialize - Shader has already been initialized.');
         }
 
+        if (options) {
+            this._initialize(gl, type, preprocessShader(source, options));
+        } else {
+            this._initialize(gl, type, { source, sources: [], contents: [source] });
+        }
+    }
+
+    /**
+     * Compiles the shader from source that has already been processed by preprocessShader.
+     * This avoids processing the source again when the result was needed before the shader was created.
+     * @param {WebGLRenderingContext} gl - The WebGL context the shader is to be created on.
+     * @param {number} type - The type of shader, either VERTEX_SHADER or FRAGMENT_SHADER.
+     * @param {PreprocessResult} result - The result of preprocessing the shader source.
+     * @throws {ShaderCompileError} If the shader fails to compile, the shader is disposed before the error is thrown.
+     */
+    initializePreprocessed(gl, type, result) {
+        if (!gl) {
+            throw new Error('Shader.initializePreprocessed - No WebGL context was specified.');
+        }
+
+        if (this._gl) {
+            throw new Error('Shader.initializePreprocessed - Shader has already been initialized.');
+        }
+
+        this._initialize(gl, type, result);
+    }
+
+    /**
+     * Compiles the shader from the processed source.
+     * @param {WebGLRenderingContext} gl - The WebGL context the shader is to be created on.
+     * @param {number} type - The type of shader, either VERTEX_SHADER or FRAGMENT_SHADER.
+     * @param {PreprocessResult} result - The processed source, along with the names and contents of its sources.
+     * @private
+     */
+    _initialize(gl, type, result) {
         this._type = type;
-        this._id = gl.createShader(type);
+        this._source = result.source;
+        this._sourceNames = result.sources;
+        this._sourceContents = result.contents;
+
+        trackResource(gl, this, ResourceType.Shader);
+        this._compile(gl);
+    }
+
+    /**
+     * Recompiles the shader after the WebGL context has been restored, using the source code supplied to initialize.
+     * Shaders that have not been initialized are ignored.
+     * @param {WebGLRenderingContext} gl - The restored WebGL rendering context.
+     */
+    restore(gl) {
+        if (this._gl) {
+            this._compile(gl);
+        }
+    }
+
+    /**
+     * Creates and compiles the WebGL shader object from the retained source code.
+     * @param {WebGLRenderingContext} gl - The WebGL context the shader is to be created on.
+     * @private
+     */
+    _compile(gl) {
+        const source = this._source;
+
+        this._id = gl.createShader(this._type);
         this._gl = gl;
 
         gl.shaderSource(this._id, source);
         gl.compileShader(this._id);
 
         if (gl.getShaderParameter(this._id, gl.COMPILE_STATUS) === false) {
-            /* eslint-disable no-console */
-            console.error('Failed to compile shader.');
+            const stage = this._type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+            const names = this._sourceNames.length ? this._sourceNames : [stage];
+            const error = new ShaderCompileError(stage, gl.getShaderInfoLog(this._id), this._sourceContents, names);
 
-            const err = gl.getShaderInfoLog(this._id);
-            if (err) {
-                console.error(err);
-            }
-            /* eslint-enable no-console */
-
-            throw new Error('Shader.initialize - Failed to compile shader.');
+            this.dispose();
+            throw error;
         }
     }
 
@@ -43,11 +118,15 @@ export default class Shader {
      */
     dispose() {
         if (this._gl) {
+            untrackResource(this._gl, this);
             this._gl.deleteShader(this._id);
 
             this._id = InvalidShader;
             this._gl = null;
             this._type = 0;
+            this._source = null;
+            this._sourceNames = [];
+            this._sourceContents = [];
         }
     }
 
@@ -59,6 +138,23 @@ export default class Shader {
         return this._type;
     }
 
+    /**
+     * Retrieves the source code supplied to WebGL, after it has been preprocessed.
+     * @returns {string|null}
+     */
+    get source() {
+        return this._source;
+    }
+
+    /**
+     * Retrieves the names of the sources contained in the preprocessed source, indexed by the source string number
+     * reported by the shader compiler. The list is empty if the source was not preprocessed.
+     * @returns {string[]}
+     */
+    get sourceNames() {
+        return this._sourceNames;
+    }
+
     /**
      * Retrieves the raw WebGL identifier of the shader object.
      * @returns {WebGLShader}
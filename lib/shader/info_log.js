@@ -0,0 +1,164 @@
+/**
+ * This file contains the parsing and formatting of the info logs reported by the driver when a shader fails to
+ * compile or a program fails to link.
+ *
+ * Info log formats differ between implementations, the following are recognised:
+ *   ANGLE and Apple:   'ERROR: 0:12: 'foo' : undeclared identifier'
+ *   Mesa:              '0:12(5): error: `foo' undeclared'
+ *   NVIDIA:            '0(12) : error C1008: undefined variable "foo"'
+ * Lines in any other format are reported as errors without a location.
+ */
+
+const ANGLE_ENTRY = /^\s*(ERROR|WARNING|INFO|NOTE)\s*:\s*(\d+)\s*:\s*(\d+)\s*:\s*(.*)$/i;
+const MESA_ENTRY = /^\s*(\d+):(\d+)\((\d+)\)\s*:\s*(error|warning|info)\s*:?\s*(.*)$/i;
+const NVIDIA_ENTRY = /^\s*(\d+)\((\d+)\)\s*:\s*(error|warning|info)\s*:?\s*(.*)$/i;
+const GENERAL_ENTRY = /^\s*(ERROR|WARNING|INFO|NOTE)\s*:\s*(.*)$/i;
+
+// Summary lines emitted by ANGLE after the individual errors, they carry no additional information
+const SUMMARY_ENTRY = /compilation errors?\.\s*No code generated/i;
+
+// Number of lines shown either side of an offending line in a source excerpt
+const EXCERPT_CONTEXT = 2;
+
+/**
+ * @typedef {object} InfoLogEntry
+ * @property {string} severity - Either 'error', 'warning' or 'info'.
+ * @property {number|null} source - Source string number the entry refers to, or null if it has no location.
+ * @property {number|null} line - Line number (starting at 1) the entry refers to, or null if it has no location.
+ * @property {number|null} column - Column number the entry refers to, only reported by some drivers.
+ * @property {string} message - Description of the problem.
+ */
+
+/**
+ * Converts the severity reported by a driver into a consistent form.
+ * @param {string} severity - The severity as reported by the driver.
+ * @returns {string} Either 'error', 'warning' or 'info'.
+ */
+function normalizeSeverity(severity) {
+    const value = severity.toLowerCase();
+
+    if (value === 'warning') {
+        return 'warning';
+    }
+
+    return value === 'info' || value === 'note' ? 'info' : 'error';
+}
+
+/**
+ * Parses the info log of a shader or program into its individual entries.
+ * @param {string|null} log - The info log reported by the driver.
+ * @returns {InfoLogEntry[]} The entries contained in the info log.
+ */
+export function parseInfoLog(log) {
+    if (!log) {
+        return [];
+    }
+
+    return log.split(/\r?\n/).reduce((entries, text) => {
+        let match = ANGLE_ENTRY.exec(text);
+        if (match) {
+            entries.push({
+                severity: normalizeSeverity(match[1]),
+                source: parseInt(match[2], 10),
+                line: parseInt(match[3], 10),
+                column: null,
+                message: match[4].trim(),
+            });
+            return entries;
+        }
+
+        match = MESA_ENTRY.exec(text);
+        if (match) {
+            entries.push({
+                severity: normalizeSeverity(match[4]),
+                source: parseInt(match[1], 10),
+                line: parseInt(match[2], 10),
+                column: parseInt(match[3], 10),
+                message: match[5].trim(),
+            });
+            return entries;
+        }
+
+        match = NVIDIA_ENTRY.exec(text);
+        if (match) {
+            entries.push({
+                severity: normalizeSeverity(match[3]),
+                source: parseInt(match[1], 10),
+                line: parseInt(match[2], 10),
+                column: null,
+                message: match[4].trim(),
+            });
+            return entries;
+        }
+
+        const message = text.replace(/\0/g, '').trim();
+        if (message && !SUMMARY_ENTRY.test(message)) {
+            match = GENERAL_ENTRY.exec(message);
+
+            entries.push({
+                severity: match ? normalizeSeverity(match[1]) : 'error',
+                source: null,
+                line: null,
+                column: null,
+                message: match ? match[2].trim() : message,
+            });
+        }
+
+        return entries;
+    }, []);
+}
+
+/**
+ * Describes the location of an info log entry, such as 'fragment:12:5'.
+ * @param {InfoLogEntry} entry - The entry whose location is to be described.
+ * @param {string[]} names - Names of the sources, indexed by source string number.
+ * @returns {string} Description of the location.
+ */
+function formatLocation(entry, names) {
+    const name = names[entry.source] || `${entry.source}`;
+    return entry.column !== null ? `${name}:${entry.line}:${entry.column}` : `${name}:${entry.line}`;
+}
+
+/**
+ * Creates a description of the entries in an info log, one entry per line.
+ * @param {InfoLogEntry[]} entries - The entries to be described.
+ * @param {string[]} names - Names of the sources, indexed by source string number.
+ * @returns {string} Description of the entries.
+ */
+export function formatInfoLog(entries, names) {
+    return entries.map((entry) => {
+        if (entry.line === null) {
+            return `${entry.severity}: ${entry.message}`;
+        }
+
+        return `${formatLocation(entry, names)}: ${entry.severity}: ${entry.message}`;
+    }).join('\n');
+}
+
+/**
+ * Creates an excerpt of the source lines referred to by the errors in an info log.
+ * Each offending line is shown along with the lines surrounding it and is marked with '>'.
+ * @param {InfoLogEntry[]} entries - The entries whose source lines are to be shown.
+ * @param {string[]} contents - The source code of each source, indexed by source string number.
+ * @param {string[]} names - Names of the sources, indexed by source string number.
+ * @returns {string} The source excerpt, an empty string if no entries refer to a source line.
+ */
+export function formatSourceExcerpt(entries, contents, names) {
+    return entries
+        .filter((entry) => entry.severity === 'error' && entry.line !== null && contents[entry.source] !== undefined)
+        .map((entry) => {
+            const lines = contents[entry.source].split(/\r?\n/);
+            const first = Math.max(1, entry.line - EXCERPT_CONTEXT);
+            const last = Math.min(lines.length, entry.line + EXCERPT_CONTEXT);
+            const width = `${last}`.length;
+
+            const excerpt = [`${formatLocation(entry, names)}: ${entry.message}`];
+            for (let line = first; line <= last; ++line) {
+                const marker = line === entry.line ? '>' : ' ';
+                excerpt.push(`${marker} ${`${line}`.padStart(width)} | ${lines[line - 1]}`);
+            }
+
+            return excerpt.join('\n');
+        })
+        .join('\n\n');
+}
@@ -0,0 +1,71 @@
+/**
+ * A collection of named shader source chunks, which may be included by shaders using '#include "name"'.
+ * See preprocessShader in preprocessor.js.
+ */
+export default class ShaderLibrary {
+    constructor() {
+        this._chunks = new Map();
+    }
+
+    /**
+     * The number of chunks registered with the library.
+     * @returns {number}
+     */
+    get size() {
+        return this._chunks.size;
+    }
+
+    /**
+     * Adds a chunk of shader source to the library, replacing any chunk already registered with the same name.
+     * @param {string} name - Name used to include the chunk.
+     * @param {string} source - The shader source of the chunk.
+     * @returns {ShaderLibrary} Reference to self, to allow for call chaining.
+     */
+    register(name, source) {
+        if (!name) {
+            throw new Error('ShaderLibrary.register - No chunk name was specified.');
+        }
+
+        if (typeof source !== 'string') {
+            throw new Error(`ShaderLibrary.register - Source of chunk '${name}' must be a string.`);
+        }
+
+        this._chunks.set(name, source);
+        return this;
+    }
+
+    /**
+     * Removes a chunk from the library.
+     * @param {string} name - Name of the chunk to be removed.
+     * @returns {boolean} True if the chunk was registered otherwise false.
+     */
+    unregister(name) {
+        return this._chunks.delete(name);
+    }
+
+    /**
+     * Determines whether or not a chunk has been registered.
+     * @param {string} name - Name of the chunk.
+     * @returns {boolean} True if the chunk has been registered otherwise false.
+     */
+    has(name) {
+        return this._chunks.has(name);
+    }
+
+    /**
+     * Retrieves the source of a registered chunk.
+     * @param {string} name - Name of the chunk.
+     * @returns {string|null} The source of the chunk or null if it has not been registered.
+     */
+    get(name) {
+        return this._chunks.has(name) ? this._chunks.get(name) : null;
+    }
+
+    /**
+     * Retrieves the names of all registered chunks.
+     * @returns {string[]} Names of the registered chunks.
+     */
+    names() {
+        return Array.from(this._chunks.keys());
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * This file contains the shader preprocessor, which runs before shader source is supplied to WebGL.
+ *
+ * The preprocessor inserts a set of #define directives (after the #version directive, if present) and replaces
+ * '#include "name"' directives with the source of the named chunk from a ShaderLibrary. Each source (the shader and
+ * every chunk it includes) is given a source string number and #line directives are emitted around includes, so the
+ * line numbers reported by the shader compiler refer to the original source. The names of the sources are returned
+ * along with the processed source, indexed by their source string number.
+ */
+
+const VERSION_DIRECTIVE = /^\s*#\s*version\s+(\d+)/;
+const INCLUDE_DIRECTIVE = /^\s*#\s*include\s+(?:"([^"]+)"|<([^>]+)>)\s*$/;
+
+/**
+ * @typedef {object} PreprocessOptions
+ * @property {object=} defines - Macros to be defined, keyed by name. A value of true defines the macro without a
+ * value, false, null or undefined omit the macro and any other value is used as the value of the macro.
+ * @property {ShaderLibrary=} library - The library used to resolve #include directives.
+ * @property {string=} name - Name of the shader source, used in error messages. The default is 'main'.
+ */
+
+/**
+ * @typedef {object} PreprocessResult
+ * @property {string} source - The processed shader source.
+ * @property {string[]} sources - Names of the sources contained in the processed source, indexed by source number.
+ * @property {string[]} contents - The original source code of each source, indexed by source number.
+ * @property {string} key - The variant key of the defines used to process the source.
+ */
+
+/**
+ * Retrieves the names of the defines that are set, ordered by name.
+ * Defines that are false, null or undefined are omitted from the shader.
+ * @param {object=} defines - The defines to be examined.
+ * @returns {string[]} Names of the defines that are set.
+ */
+function getActiveDefines(defines) {
+    if (!defines) {
+        return [];
+    }
+
+    return Object.keys(defines)
+        .filter((name) => defines[name] !== false && defines[name] !== null && defines[name] !== undefined)
+        .sort();
+}
+
+/**
+ * Creates a key that identifies a set of defines, the key does not depend on the order the defines were added in.
+ * Defines that are omitted from the shader (false, null or undefined) do not contribute to the key.
+ * @param {object=} defines - The defines to be identified.
+ * @returns {string} The variant key, an empty string if no defines are set.
+ */
+export function getVariantKey(defines) {
+    return getActiveDefines(defines)
+        .map((name) => (defines[name] === true ? name : `${name}=${defines[name]}`))
+        .join(';');
+}
+
+/**
+ * Creates the #define directives for a set of defines, ordered by name.
+ * @param {object=} defines - The defines to be converted.
+ * @returns {string[]} The #define directives.
+ */
+function createDefines(defines) {
+    return getActiveDefines(defines)
+        .map((name) => (defines[name] === true ? `#define ${name}` : `#define ${name} ${defines[name]}`));
+}
+
+/**
+ * Processes shader source, inserting defines and resolving includes.
+ * @param {string} source - The shader source to be processed.
+ * @param {PreprocessOptions=} options - Options controlling the preprocessor.
+ * @returns {PreprocessResult} The processed source along with the names of the sources it contains.
+ */
+export default function preprocessShader(source, options = {}) {
+    if (typeof source !== 'string') {
+        throw new Error('preprocessShader - Shader source must be a string.');
+    }
+
+    const { defines, library } = options;
+    const sources = [options.name || 'main'];
+    const contents = [source];
+    const output = [];
+
+    const lines = source.split(/\r?\n/);
+    const versionIndex = lines.findIndex((line) => VERSION_DIRECTIVE.test(line));
+    const version = versionIndex !== -1 ? parseInt(VERSION_DIRECTIVE.exec(lines[versionIndex])[1], 10) : 100;
+
+    // GLSL ES 1.00 applies '#line n' to the line after the next line, GLSL ES 3.00 applies it to the next line
+    const lineDirective = (line, sourceNumber) => `#line ${version >= 300 ? line : line - 1} ${sourceNumber}`;
+
+    const expand = (sourceLines, sourceNumber, firstLine, stack) => {
+        for (let loop = firstLine; loop < sourceLines.length; ++loop) {
+            const match = INCLUDE_DIRECTIVE.exec(sourceLines[loop]);
+
+            if (!match) {
+                output.push(sourceLines[loop]);
+            } else {
+                const name = match[1] || match[2];
+
+                if (stack.indexOf(name) !== -1) {
+                    const chain = stack.concat(name).join(' -> ');
+                    throw new Error(`preprocessShader - Circular include of '${name}' (${chain}).`);
+                }
+
+                const chunk = library ? library.get(name) : null;
+                if (chunk === null) {
+                    throw new Error(`preprocessShader - Unknown include '${name}' in '${stack[stack.length - 1]}'.`);
+                }
+
+                const chunkLines = chunk.split(/\r?\n/);
+                if (chunkLines.some((line) => VERSION_DIRECTIVE.test(line))) {
+                    throw new Error(`preprocessShader - Included chunk '${name}' must not contain #version.`);
+                }
+
+                let chunkNumber = sources.indexOf(name);
+                if (chunkNumber === -1) {
+                    chunkNumber = sources.length;
+                    sources.push(name);
+                    contents.push(chunk);
+                }
+
+                output.push(lineDirective(1, chunkNumber));
+                expand(chunkLines, chunkNumber, 0, stack.concat(name));
+                output.push(lineDirective(loop + 2, sourceNumber));
+            }
+        }
+    };
+
+    // The #version directive must remain the first line of the shader, so defines are inserted after it
+    if (versionIndex !== -1) {
+        output.push(...lines.slice(0, versionIndex + 1));
+    }
+
+    output.push(...createDefines(defines));
+    output.push(lineDirective(versionIndex + 2, 0));
+    expand(lines, 0, versionIndex + 1, [sources[0]]);
+
+    return {
+        source: output.join('\n'),
+        sources,
+        contents,
+        key: getVariantKey(defines),
+    };
+}
@@ -1,16 +1,107 @@
 import { InvalidBufferId } from '../buffer';
-import { DepthCompare } from '../primitives';
+import {
+    StencilFace,
+    CullMode,
+    cullModeToWebGL,
+    depthCompareToWebGL,
+    getBlendModeDesc,
+    blendFactorToWebGL,
+    blendEquationToWebGL,
+    stencilCompareToWebGL,
+    stencilOpToWebGL,
+    stencilFaceToWebGL,
+} from '../primitives';
 import { InvalidProgramId } from '../program';
-import { InvalidTextureId } from '../texture';
 import { InvalidFrameBufferId } from '../frame_buffer';
 import Extension from '../extensions';
-
-const MAXIMUM_TEXTURE_UNITS = 32;
+import { StateCategory } from './statistics';
 
 const INVALID_COLOR_VALUE = -1;
 const INVALID_DEPTH_VALUE = -1000;
 const INVALID_STENCIL_VALUE = -1;
 
+/**
+ * Creates the cached stencil state for a single polygon face.
+ * @returns {object} Stencil state with all values marked as unknown.
+ */
+function createStencilFaceState() {
+    return {
+        func: {
+            isSet: false,
+            compare: -1,
+            ref: 0,
+            mask: 0,
+        },
+        op: {
+            isSet: false,
+            fail: -1,
+            zfail: -1,
+            zpass: -1,
+        },
+        writeMask: {
+            isSet: false,
+            value: 0,
+        },
+    };
+}
+
+/**
+ * Marks the cached stencil state of a single polygon face as unknown.
+ * @param {object} faceState - The face state to be invalidated.
+ */
+function invalidateStencilFaceState(faceState) {
+    faceState.func.isSet = false;
+    faceState.op.isSet = false;
+    faceState.writeMask.isSet = false;
+}
+
+/**
+ * @typedef {object} StateSnapshot
+ * Plain description of the state of a rendering context, created by WebGLState.saveSnapshot.
+ * All values are stored as native WebGL values.
+ * @property {WebGLProgram|null} program - The program in use.
+ * @property {WebGLFramebuffer|null} frameBuffer - The bound frame buffer.
+ * @property {WebGLBuffer|null} arrayBuffer - The buffer bound to ARRAY_BUFFER.
+ * @property {WebGLBuffer|null} elementArrayBuffer - The buffer bound to ELEMENT_ARRAY_BUFFER.
+ * @property {WebGLVertexArrayObject|null} vao - The bound vertex array object.
+ * @property {WebGLRenderbuffer|null} renderBuffer - The buffer bound to RENDERBUFFER.
+ * @property {WebGLBuffer|null} uniformBuffer - The buffer bound to UNIFORM_BUFFER (WebGL2 only).
+ * @property {object[]} uniformBindings - The buffer range bound to each uniform buffer binding point.
+ * @property {number} activeTexture - Index of the active texture unit.
+ * @property {object[]} textureUnits - The texture bound to each texture target, for each texture unit.
+ * @property {boolean[]} attributes - The enabled state of each vertex attribute array.
+ * @property {AttributePointer[]} attributePointers - The data source of each vertex attribute array.
+ * @property {number[]} attributeDivisors - The instance divisor of each vertex attribute array.
+ * @property {object} cull - Face culling state.
+ * @property {object} depth - Depth test and depth write state.
+ * @property {object} blend - Blend stage state.
+ * @property {object} stencil - Stencil test state for the front and back faces.
+ * @property {boolean[]} colorMask - Writable colour channels.
+ * @property {object} polygonOffset - Polygon offset state.
+ * @property {number} lineWidth - Width of rasterized lines.
+ * @property {boolean} dither - True if dithering is enabled.
+ * @property {boolean} alphaToCoverage - True if SAMPLE_ALPHA_TO_COVERAGE is enabled.
+ * @property {object} sampleCoverage - Sample coverage state.
+ * @property {object} viewport - The viewport rectangle.
+ * @property {object} scissor - The scissor rectangle.
+ * @property {boolean} scissorTest - True if the scissor test is enabled.
+ * @property {number[]} clearColor - The colour buffer clear value.
+ * @property {number} clearDepth - The depth buffer clear value.
+ * @property {number} clearStencil - The stencil buffer clear value.
+ */
+
+/**
+ * @typedef {object} AttributePointer
+ * Description of the data source of a vertex attribute array, as supplied to vertexAttribPointer.
+ * @property {WebGLBuffer|null} buffer - The buffer the attribute reads from.
+ * @property {number} size - The number of components per vertex.
+ * @property {number} type - The WebGL type of each component.
+ * @property {boolean} normalized - True if integer data is normalized when read.
+ * @property {number} stride - The offset (in bytes) between consecutive vertices.
+ * @property {number} offset - The offset (in bytes) of the first component within the buffer.
+ * @property {boolean} integer - True if the data is read as integers, see vertexAttribIPointer (WebGL2 only).
+ */
+
 /**
  * Manages the state of the current device.
  * The WebGLState object uses raw WebGL objects rather than any wrappers that are included with the library.
@@ -20,9 +111,16 @@ const INVALID_STENCIL_VALUE = -1;
 export default class WebGLState {
     constructor() {
         this._gl = null;
-        this._textureUnits = [];
+        this._textureUnits = []; // Created on initialize, once the number of texture units is known
+        this._textureUnitStamps = [];
+        this._textureStamp = 0;
+        this._textureTargets = [];
+        this._activeTextureUnit = -1;
 
         this.OES_vertex_array_object = null;
+        this.EXT_blend_minmax = null;
+        this.ANGLE_instanced_arrays = null;
+        this.OES_element_index_uint = null;
         this._activeProgram = InvalidProgramId;
         this._frameBuffer = InvalidFrameBufferId;
 
@@ -51,6 +149,119 @@ export default class WebGLState {
             value: true,
         };
 
+        this._blendEnabled = {
+            isSet: false,
+            value: false,
+        };
+
+        this._blendFunc = {
+            isSet: false,
+            srcRGB: -1,
+            dstRGB: -1,
+            srcAlpha: -1,
+            dstAlpha: -1,
+        };
+
+        this._blendEquation = {
+            isSet: false,
+            rgb: -1,
+            alpha: -1,
+        };
+
+        this._blendColor = {
+            r: INVALID_COLOR_VALUE,
+            g: INVALID_COLOR_VALUE,
+            b: INVALID_COLOR_VALUE,
+            a: INVALID_COLOR_VALUE,
+        };
+
+        this._colorMask = {
+            isSet: false,
+            r: true,
+            g: true,
+            b: true,
+            a: true,
+        };
+
+        this._polygonOffset = {
+            isSet: false,
+            value: false,
+        };
+
+        this._polygonOffsetValues = {
+            isSet: false,
+            factor: 0,
+            units: 0,
+        };
+
+        this._lineWidth = {
+            isSet: false,
+            value: 1,
+        };
+
+        this._dither = {
+            isSet: false,
+            value: true,
+        };
+
+        this._alphaToCoverage = {
+            isSet: false,
+            value: false,
+        };
+
+        this._sampleCoverage = {
+            isSet: false,
+            value: false,
+        };
+
+        this._sampleCoverageValues = {
+            isSet: false,
+            value: 1,
+            invert: false,
+        };
+
+        this._renderState = null;
+        this._statistics = null;
+
+        this._stencilTest = {
+            isSet: false,
+            value: false,
+        };
+
+        this._stencilFront = createStencilFaceState();
+        this._stencilBack = createStencilFaceState();
+
+        this._viewport = {
+            isSet: false,
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+        };
+
+        this._scissor = {
+            isSet: false,
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+        };
+
+        this._scissorTest = {
+            isSet: false,
+            value: false,
+        };
+
+        this._viewportStack = [];
+        this._scissorStack = [];
+
+        // Size of the drawing buffer, used as the viewport when no other viewport has been pushed
+        this._defaultViewport = {
+            isSet: false,
+            width: 0,
+            height: 0,
+        };
+
         this._clearColor = {
             r: INVALID_COLOR_VALUE,
             g: INVALID_COLOR_VALUE,
@@ -63,15 +274,15 @@ export default class WebGLState {
 
         this._arrayBuffer = InvalidBufferId;
         this._elementArrayBuffer = InvalidBufferId;
+        this._elementIndexType = undefined; // Index type of the bound element array buffer, undefined when unknown
+        this._vertexArrayIndexTypes = new WeakMap(); // Index type last bound within each vertex array object
+        this._uniformBuffer = undefined; // Unknown until first bound
+        this._uniformBindings = []; // Created on initialize for WebGL2 devices
 
         this.attributeCount = 0; // Number of attributes currently enabled
-
-        for (let loop = 0; loop < MAXIMUM_TEXTURE_UNITS; ++loop) {
-            this._textureUnits[loop] = {
-                type: 0, // InvalidTextureType
-                texture: InvalidTextureId,
-            };
-        }
+        this._attributeEnabled = []; // Enabled state of each vertex attribute array, undefined when unknown
+        this._attributeDivisors = []; // Instance divisor of each vertex attribute, undefined when unknown
+        this.vaoId = undefined; // Unknown until the first call to bindVertexArray
     }
 
     /**
@@ -89,9 +300,39 @@ export default class WebGLState {
         if (version.indexOf('WebGL 1.0') !== -1) {
             this.bindVertexArray = this._bindVertexArrayOES;
             this.OES_vertex_array_object = gl.getExtension(Extension.OES_vertex_array_object);
+            this.EXT_blend_minmax = gl.getExtension(Extension.EXT_blend_minmax);
+            this.ANGLE_instanced_arrays = gl.getExtension(Extension.ANGLE_instanced_arrays);
+            this.OES_element_index_uint = gl.getExtension(Extension.OES_element_index_uint);
         } else {
             this.bindVertexArray = this._bindVertexArray;
         }
+
+        this._textureTargets = [
+            { target: gl.TEXTURE_2D, binding: gl.TEXTURE_BINDING_2D },
+            { target: gl.TEXTURE_CUBE_MAP, binding: gl.TEXTURE_BINDING_CUBE_MAP },
+        ];
+
+        if (gl.TEXTURE_3D !== undefined) {
+            this._textureTargets.push({ target: gl.TEXTURE_3D, binding: gl.TEXTURE_BINDING_3D });
+            this._textureTargets.push({ target: gl.TEXTURE_2D_ARRAY, binding: gl.TEXTURE_BINDING_2D_ARRAY });
+        }
+
+        const unitCount = gl.getParameter(gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS);
+        this._textureUnits = [];
+        this._textureUnitStamps = [];
+        for (let loop = 0; loop < unitCount; ++loop) {
+            this._textureUnits.push({});
+            this._textureUnitStamps.push(0);
+        }
+        this._activeTextureUnit = -1;
+
+        this._uniformBindings = [];
+        if (gl.UNIFORM_BUFFER !== undefined) {
+            const bindingCount = gl.getParameter(gl.MAX_UNIFORM_BUFFER_BINDINGS);
+            for (let loop = 0; loop < bindingCount; ++loop) {
+                this._uniformBindings.push({ buffer: undefined, offset: 0, size: 0 });
+            }
+        }
     }
 
     /**
@@ -99,6 +340,9 @@ export default class WebGLState {
      */
     dispose() {
         this.invalidate();
+
+        this._viewportStack.length = 0;
+        this._scissorStack.length = 0;
     }
 
     /**
@@ -109,6 +353,12 @@ export default class WebGLState {
         this._arrayBuffer = InvalidBufferId;
         this._frameBuffer = InvalidFrameBufferId;
         this._elementArrayBuffer = InvalidBufferId;
+        this._elementIndexType = undefined;
+        this._vertexArrayIndexTypes = new WeakMap();
+        this._uniformBuffer = undefined;
+        this._uniformBindings.forEach((binding) => {
+            binding.buffer = undefined;
+        });
 
         this._cullMode.isSet = false;
         this._cullEnabled.isSet = false;
@@ -117,6 +367,32 @@ export default class WebGLState {
         this._depthCompare.isSet = false;
         this._depthWrite.isSet = false;
 
+        this._blendEnabled.isSet = false;
+        this._blendFunc.isSet = false;
+        this._blendEquation.isSet = false;
+        this._blendColor.r = INVALID_COLOR_VALUE;
+        this._blendColor.g = INVALID_COLOR_VALUE;
+        this._blendColor.b = INVALID_COLOR_VALUE;
+        this._blendColor.a = INVALID_COLOR_VALUE;
+
+        this._colorMask.isSet = false;
+        this._polygonOffset.isSet = false;
+        this._polygonOffsetValues.isSet = false;
+        this._lineWidth.isSet = false;
+        this._dither.isSet = false;
+        this._alphaToCoverage.isSet = false;
+        this._sampleCoverage.isSet = false;
+        this._sampleCoverageValues.isSet = false;
+        this._renderState = null;
+
+        this._stencilTest.isSet = false;
+        invalidateStencilFaceState(this._stencilFront);
+        invalidateStencilFaceState(this._stencilBack);
+
+        this._viewport.isSet = false;
+        this._scissor.isSet = false;
+        this._scissorTest.isSet = false;
+
         this._clearColor.r = INVALID_COLOR_VALUE;
         this._clearColor.g = INVALID_COLOR_VALUE;
         this._clearColor.b = INVALID_COLOR_VALUE;
@@ -126,16 +402,264 @@ export default class WebGLState {
 
         // We always leave the first one enabled "Always have vertex attrib 0 array enabled"
         // See: https://developer.mozilla.org/en-US/docs/Web/API/WebGL_API/WebGL_best_practices
-        for (let loop = 1; loop < this.attributeCount; ++loop) {
-            this._gl.disableVertexAttribArray(loop);
+        for (let loop = 1; loop < this._attributeEnabled.length; ++loop) {
+            if (this._attributeEnabled[loop] !== false) {
+                this._gl.disableVertexAttribArray(loop);
+                this._attributeEnabled[loop] = false;
+            }
         }
+        this._attributeEnabled[0] = undefined;
+        this._attributeDivisors.fill(undefined);
         this.attributeCount = 0;
         this.attributeBufferId = -1;
+        this.vaoId = undefined;
+
+        // Texture bindings are stored by target, a missing target means the binding is unknown
+        for (let loop = 0; loop < this._textureUnits.length; ++loop) {
+            this._textureUnits[loop] = {};
+        }
+        this._activeTextureUnit = -1;
+    }
+
+    /**
+     * Rebuilds the cached state by querying the rendering context.
+     * Unlike invalidate, which marks the cached state as unknown, this method reads the actual values from the
+     * context. This is useful when sharing the context with third-party code that modifies its state directly.
+     * Note: This method issues many getParameter calls and should not be used every frame.
+     */
+    syncFromContext() {
+        const gl = this._gl;
+        if (!gl) {
+            throw new Error('Cannot synchronize state without context.');
+        }
+
+        this._activeProgram = gl.getParameter(gl.CURRENT_PROGRAM);
+        this._arrayBuffer = gl.getParameter(gl.ARRAY_BUFFER_BINDING);
+        this._frameBuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+
+        if (this.OES_vertex_array_object) {
+            this.vaoId = gl.getParameter(this.OES_vertex_array_object.VERTEX_ARRAY_BINDING_OES);
+        } else if (gl.VERTEX_ARRAY_BINDING !== undefined) {
+            this.vaoId = gl.getParameter(gl.VERTEX_ARRAY_BINDING);
+        }
+
+        // The index type cannot be read from the context, it is only kept if the same buffer is still bound
+        const elementArrayBuffer = gl.getParameter(gl.ELEMENT_ARRAY_BUFFER_BINDING);
+        if (elementArrayBuffer !== this._elementArrayBuffer) {
+            this._elementArrayBuffer = elementArrayBuffer;
+            this._elementIndexType = undefined;
+        }
+
+        this._syncFixedFunction();
+        this._syncStencil();
+        this._syncTextureUnits();
+        this._syncAttributes();
+        this._syncUniformBuffers();
+
+        this._renderState = null;
+    }
+
+    /**
+     * Captures the current state of the rendering context, so it may later be returned with restoreSnapshot.
+     * The state is read from the context (see syncFromContext), so changes made by other code sharing the context
+     * are included in the snapshot. The vertex attribute pointers of the bound vertex array object (which may be the
+     * default vertex array object) are also captured.
+     * @returns {StateSnapshot} Description of the current state of the rendering context.
+     */
+    saveSnapshot() {
+        this.syncFromContext();
+
+        const copyFace = (faceState) => ({
+            compare: faceState.func.compare,
+            ref: faceState.func.ref,
+            mask: faceState.func.mask,
+            fail: faceState.op.fail,
+            zfail: faceState.op.zfail,
+            zpass: faceState.op.zpass,
+            writeMask: faceState.writeMask.value,
+        });
+
+        return {
+            program: this._activeProgram,
+            frameBuffer: this._frameBuffer,
+            arrayBuffer: this._arrayBuffer,
+            elementArrayBuffer: this._elementArrayBuffer,
+            elementIndexType: this._elementIndexType,
+            vao: this.vaoId,
+            renderBuffer: this._gl.getParameter(this._gl.RENDERBUFFER_BINDING),
+            uniformBuffer: this._uniformBuffer,
+            uniformBindings: this._uniformBindings.map((binding) => ({
+                buffer: binding.buffer,
+                offset: binding.offset,
+                size: binding.size,
+            })),
+            activeTexture: this._activeTextureUnit,
+            textureUnits: this._textureUnits.map((unit) => Object.keys(unit).reduce((copy, target) => {
+                copy[target] = unit[target];
+                return copy;
+            }, {})),
+            attributes: this._attributeEnabled.slice(),
+            attributePointers: this._readAttributePointers(),
+            attributeDivisors: this._attributeDivisors.slice(),
+            cull: {
+                enabled: this._cullEnabled.value,
+                mode: this._cullMode.value,
+            },
+            depth: {
+                test: this._depthTest.value,
+                compare: this._depthCompare.value,
+                write: this._depthWrite.value,
+            },
+            blend: {
+                enabled: this._blendEnabled.value,
+                srcRGB: this._blendFunc.srcRGB,
+                dstRGB: this._blendFunc.dstRGB,
+                srcAlpha: this._blendFunc.srcAlpha,
+                dstAlpha: this._blendFunc.dstAlpha,
+                equationRGB: this._blendEquation.rgb,
+                equationAlpha: this._blendEquation.alpha,
+                color: [this._blendColor.r, this._blendColor.g, this._blendColor.b, this._blendColor.a],
+            },
+            stencil: {
+                enabled: this._stencilTest.value,
+                front: copyFace(this._stencilFront),
+                back: copyFace(this._stencilBack),
+            },
+            colorMask: this.colorMask,
+            polygonOffset: {
+                enabled: this._polygonOffset.value,
+                factor: this._polygonOffsetValues.factor,
+                units: this._polygonOffsetValues.units,
+            },
+            lineWidth: this._lineWidth.value,
+            dither: this._dither.value,
+            alphaToCoverage: this._alphaToCoverage.value,
+            sampleCoverage: {
+                enabled: this._sampleCoverage.value,
+                value: this._sampleCoverageValues.value,
+                invert: this._sampleCoverageValues.invert,
+            },
+            viewport: this.viewport,
+            scissor: this.scissor,
+            scissorTest: this._scissorTest.value,
+            clearColor: [this._clearColor.r, this._clearColor.g, this._clearColor.b, this._clearColor.a],
+            clearDepth: this._clearDepth,
+            clearStencil: this._clearStencil,
+        };
+    }
+
+    /**
+     * Returns the rendering context to the state captured by saveSnapshot.
+     * Only the values that differ from the cached state result in WebGL calls.
+     * @param {StateSnapshot} snapshot - The snapshot to be restored.
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot) {
+            throw new Error('No snapshot supplied.');
+        }
+
+        const gl = this._gl;
+
+        this.useProgram(snapshot.program);
+        this.bindFrameBuffer(snapshot.frameBuffer);
+
+        if (snapshot.vao !== undefined) {
+            this.bindVertexArray(snapshot.vao);
+        }
+
+        snapshot.attributePointers.forEach((pointer, index) => {
+            // A pointer without a buffer can only be specified with a zero offset
+            if (pointer.buffer === null && pointer.offset !== 0) {
+                return;
+            }
+
+            this.bindArrayBuffer(pointer.buffer);
+            if (pointer.integer) {
+                gl.vertexAttribIPointer(index, pointer.size, pointer.type, pointer.stride, pointer.offset);
+            } else {
+                gl.vertexAttribPointer(index, pointer.size, pointer.type, pointer.normalized, pointer.stride,
+                    pointer.offset);
+            }
+        });
+
+        if (this.supportsInstancing) {
+            snapshot.attributeDivisors.forEach((divisor, index) => this.setAttributeDivisor(index, divisor));
+        }
+
+        this.bindArrayBuffer(snapshot.arrayBuffer);
+        this.bindElementArrayBuffer(snapshot.elementArrayBuffer, snapshot.elementIndexType);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, snapshot.renderBuffer);
+
+        snapshot.attributes.forEach((enabled, index) => {
+            if (this._attributeEnabled[index] !== enabled) {
+                if (enabled) {
+                    gl.enableVertexAttribArray(index);
+                } else {
+                    gl.disableVertexAttribArray(index);
+                }
+
+                this._attributeEnabled[index] = enabled;
+            }
+        });
+        this.attributeCount = snapshot.attributes.lastIndexOf(true) + 1;
+        this.attributeBufferId = -1;
+
+        snapshot.uniformBindings.forEach((binding, index) => {
+            if (binding.size > 0) {
+                this.bindUniformBufferRange(index, binding.buffer, binding.offset, binding.size);
+            } else {
+                this.bindUniformBufferBase(index, binding.buffer);
+            }
+        });
 
-        for (let loop = 0; loop < MAXIMUM_TEXTURE_UNITS; ++loop) {
-            this._textureUnits[loop].type = 0; // InvalidTextureType
-            this._textureUnits[loop].texture = InvalidTextureId;
+        // Binding a range also binds the generic binding point, so it is restored afterwards
+        if (snapshot.uniformBuffer !== undefined) {
+            this.bindUniformBuffer(snapshot.uniformBuffer);
         }
+
+        snapshot.textureUnits.forEach((unit, index) => {
+            Object.keys(unit).forEach((target) => this.bindTexture(index, Number(target), unit[target]));
+        });
+        this.setActiveTexture(snapshot.activeTexture);
+
+        this.setCullMode(snapshot.cull.enabled, snapshot.cull.mode);
+        this.setDepthTestNative(snapshot.depth.test, snapshot.depth.compare);
+        this.depthWrite = snapshot.depth.write;
+
+        const { blend } = snapshot;
+        this.setBlendEnabled(blend.enabled);
+        this.setBlendFuncNative(blend.srcRGB, blend.dstRGB, blend.srcAlpha, blend.dstAlpha);
+        this.setBlendEquationNative(blend.equationRGB, blend.equationAlpha);
+        this.setBlendColor(blend.color[0], blend.color[1], blend.color[2], blend.color[3]);
+
+        const { stencil } = snapshot;
+        this.setStencilTest(stencil.enabled);
+        [[gl.FRONT, stencil.front], [gl.BACK, stencil.back]].forEach(([face, desc]) => {
+            this.setStencilFuncNative(face, desc.compare, desc.ref, desc.mask);
+            this.setStencilOpNative(face, desc.fail, desc.zfail, desc.zpass);
+            this.setStencilMaskNative(face, desc.writeMask);
+        });
+
+        const { colorMask, polygonOffset } = snapshot;
+        this.setColorMask(colorMask[0], colorMask[1], colorMask[2], colorMask[3]);
+        this.setPolygonOffset(polygonOffset.enabled, polygonOffset.factor, polygonOffset.units);
+
+        const { sampleCoverage } = snapshot;
+        this.lineWidth = snapshot.lineWidth;
+        this.setDither(snapshot.dither);
+        this.setAlphaToCoverage(snapshot.alphaToCoverage);
+        this.setSampleCoverage(sampleCoverage.enabled, sampleCoverage.value, sampleCoverage.invert);
+
+        this.setViewport(snapshot.viewport.x, snapshot.viewport.y, snapshot.viewport.width, snapshot.viewport.height);
+        this.setScissor(snapshot.scissor.x, snapshot.scissor.y, snapshot.scissor.width, snapshot.scissor.height);
+        this.setScissorTest(snapshot.scissorTest);
+
+        const { clearColor } = snapshot;
+        this.setClearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+        this.clearDepth = snapshot.clearDepth;
+        this.clearStencil = snapshot.clearStencil;
+
+        this._renderState = null;
     }
 
     /**
@@ -146,6 +670,22 @@ export default class WebGLState {
         return this._gl;
     }
 
+    /**
+     * Retrieves the statistics collector currently assigned to the state manager.
+     * @returns {StateStatistics|null} The statistics collector, or null if statistics are not being collected.
+     */
+    get statistics() {
+        return this._statistics;
+    }
+
+    /**
+     * Assigns a statistics collector that records the number of WebGL calls issued and filtered by this object.
+     * @param {StateStatistics|null} value - The statistics collector to be used, or null to stop collecting.
+     */
+    set statistics(value) {
+        this._statistics = value;
+    }
+
     /**
      * Retrieves the Program object currently in use by the state.
      * @returns {WebGLProgram} The WebGLProgram instance currently in use by the gl state.
@@ -191,7 +731,10 @@ export default class WebGLState {
      * @param {boolean} value - True if writing to the depth buffer should be enabled otherwise false.
      */
     set depthWrite(value) {
-        if (this._gl && (!this._depthWrite.isSet || value !== this._depthWrite.isEnabled)) {
+        this.invalidateRenderState();
+        const changed = !this._depthWrite.isSet || value !== this._depthWrite.value;
+
+        if (this._gl && this._record(StateCategory.FixedFunction, changed)) {
             this._depthWrite.isSet = true;
             this._depthWrite.value = value;
 
@@ -215,6 +758,184 @@ export default class WebGLState {
         return this._cullEnabled.isSet ? this._cullEnabled.value : false;
     }
 
+    /**
+     * Determines whether or not blending is currently enabled.
+     * @returns {boolean} True if blending is enabled otherwise false.
+     */
+    get blendEnabled() {
+        return this._blendEnabled.isSet ? this._blendEnabled.value : false;
+    }
+
+    /**
+     * Determines whether or not the device supports the Min and Max blend equations.
+     * @returns {boolean} True if BlendEquation.Min and BlendEquation.Max may be used otherwise false.
+     */
+    get supportsBlendMinMax() {
+        return !!this._gl && (this._gl.MIN !== undefined || !!this.EXT_blend_minmax);
+    }
+
+    /**
+     * Retrieves the colour channels that may currently be written to.
+     * @returns {boolean[]} Array containing the write state of the red, green, blue and alpha channels.
+     */
+    get colorMask() {
+        const mask = this._colorMask;
+        return mask.isSet ? [mask.r, mask.g, mask.b, mask.a] : [true, true, true, true];
+    }
+
+    /**
+     * Determines whether or not polygon offset is currently enabled.
+     * @returns {boolean} True if polygon offset is enabled otherwise false.
+     */
+    get polygonOffset() {
+        return this._polygonOffset.isSet ? this._polygonOffset.value : false;
+    }
+
+    /**
+     * Retrieves the polygon offset scale factor currently applied to the rendering context.
+     * @returns {number} Scale factor for the variable depth offset of each polygon.
+     */
+    get polygonOffsetFactor() {
+        return this._polygonOffsetValues.isSet ? this._polygonOffsetValues.factor : 0;
+    }
+
+    /**
+     * Retrieves the polygon offset units currently applied to the rendering context.
+     * @returns {number} Multiplier for the implementation specific minimum depth offset.
+     */
+    get polygonOffsetUnits() {
+        return this._polygonOffsetValues.isSet ? this._polygonOffsetValues.units : 0;
+    }
+
+    /**
+     * Retrieves the width of rasterized lines.
+     * @returns {number} The current line width.
+     */
+    get lineWidth() {
+        return this._lineWidth.isSet ? this._lineWidth.value : 1;
+    }
+
+    /**
+     * Sets the width of rasterized lines.
+     * Note: Most implementations only support a line width of 1.
+     * @param {number} value - The width of rasterized lines.
+     */
+    set lineWidth(value) {
+        const changed = !this._lineWidth.isSet || value !== this._lineWidth.value;
+
+        if (this._gl && this._record(StateCategory.FixedFunction, changed)) {
+            this._lineWidth.isSet = true;
+            this._lineWidth.value = value;
+
+            this._gl.lineWidth(value);
+        }
+    }
+
+    /**
+     * Determines whether or not dithering is currently enabled.
+     * @returns {boolean} True if dithering is enabled otherwise false.
+     */
+    get dither() {
+        return this._dither.isSet ? this._dither.value : true;
+    }
+
+    /**
+     * Determines whether or not the alpha value is used to compute a temporary coverage value (alpha-to-coverage).
+     * @returns {boolean} True if SAMPLE_ALPHA_TO_COVERAGE is enabled otherwise false.
+     */
+    get alphaToCoverage() {
+        return this._alphaToCoverage.isSet ? this._alphaToCoverage.value : false;
+    }
+
+    /**
+     * Determines whether or not the fragment coverage is combined with the sample coverage value.
+     * @returns {boolean} True if SAMPLE_COVERAGE is enabled otherwise false.
+     */
+    get sampleCoverage() {
+        return this._sampleCoverage.isSet ? this._sampleCoverage.value : false;
+    }
+
+    /**
+     * Retrieves the RenderState block most recently applied with applyRenderState.
+     * @returns {RenderState|null} The last applied render state or null if the state is not known.
+     */
+    get renderState() {
+        return this._renderState;
+    }
+
+    /**
+     * Retrieves the stencil write mask of front facing polygons, this is also the mask applied when the stencil
+     * buffer is cleared.
+     * @returns {number} Bit mask of the stencil bits that may be written.
+     */
+    get stencilWriteMask() {
+        const { writeMask } = this._stencilFront;
+        return writeMask.isSet ? writeMask.value : 0xFF;
+    }
+
+    /**
+     * Determines whether or not stencil testing is currently enabled.
+     * @returns {boolean} True if stencil testing is enabled otherwise false.
+     */
+    get stencilTest() {
+        return this._stencilTest.isSet ? this._stencilTest.value : false;
+    }
+
+    /**
+     * Retrieves the viewport rectangle currently applied to the rendering context.
+     * If the viewport is not known by the state manager, it is read from the rendering context.
+     * @returns {{x: number, y: number, width: number, height: number}} Copy of the current viewport rectangle.
+     */
+    get viewport() {
+        this._resolveViewport();
+
+        return {
+            x: this._viewport.x,
+            y: this._viewport.y,
+            width: this._viewport.width,
+            height: this._viewport.height,
+        };
+    }
+
+    /**
+     * Retrieves the default viewport size, as supplied to setDefaultViewport.
+     * @returns {{width: number, height: number}|null} Copy of the default viewport size, or null if it is not set.
+     */
+    get defaultViewport() {
+        if (!this._defaultViewport.isSet) {
+            return null;
+        }
+
+        return {
+            width: this._defaultViewport.width,
+            height: this._defaultViewport.height,
+        };
+    }
+
+    /**
+     * Retrieves the scissor rectangle currently applied to the rendering context.
+     * If the scissor rectangle is not known by the state manager, it is read from the rendering context.
+     * @returns {{x: number, y: number, width: number, height: number}} Copy of the current scissor rectangle.
+     */
+    get scissor() {
+        this._resolveScissor();
+
+        return {
+            x: this._scissor.x,
+            y: this._scissor.y,
+            width: this._scissor.width,
+            height: this._scissor.height,
+        };
+    }
+
+    /**
+     * Determines whether or not the scissor test is currently enabled.
+     * @returns {boolean} True if the scissor test is enabled otherwise false.
+     */
+    get scissorTest() {
+        return this._scissorTest.isSet ? this._scissorTest.value : false;
+    }
+
     /**
      * Sets the color a surface will be cleared to.
      * @param {number} r
@@ -223,11 +944,12 @@ export default class WebGLState {
      * @param {number} a
      */
     setClearColor(r, g, b, a) {
-        if (r !== this._clearColor.r
+        const changed = r !== this._clearColor.r
             || g !== this._clearColor.g
             || b !== this._clearColor.b
-            || a !== this._clearColor.a
-        ) {
+            || a !== this._clearColor.a;
+
+        if (this._record(StateCategory.FixedFunction, changed)) {
             this._clearColor.r = r;
             this._clearColor.g = g;
             this._clearColor.b = b;
@@ -242,7 +964,7 @@ export default class WebGLState {
      * @param {number} value - The value applied to the depth buffer when it is cleared.
      */
     set clearDepth(value) {
-        if (value !== this._clearDepth) {
+        if (this._record(StateCategory.FixedFunction, value !== this._clearDepth)) {
             this._clearDepth = value;
             this._gl.clearDepth(value);
         }
@@ -253,7 +975,7 @@ export default class WebGLState {
      * @param {number} value - The value applied to the stencil buffer when it is cleared.
      */
     set clearStencil(value) {
-        if (value !== this._clearStencil) {
+        if (this._record(StateCategory.FixedFunction, value !== this._clearStencil)) {
             this._clearStencil = value;
             this._gl.clearStencil(value);
         }
@@ -265,18 +987,10 @@ export default class WebGLState {
      * @param {number=} mode - Optional face culling mode to be applied to rendered geometry.
      */
     setCullMode(enabled, mode) {
-        if (!this._cullEnabled.isSet || enabled !== this._cullEnabled.value) {
-            this._cullEnabled.isSet = true;
-            this._cullEnabled.value = enabled;
-
-            if (enabled) {
-                this._gl.enable(this._gl.CULL_FACE);
-            } else {
-                this._gl.disable(this._gl.CULL_FACE);
-            }
-        }
+        this.invalidateRenderState();
+        this._setCapability(this._cullEnabled, this._gl.CULL_FACE, enabled);
 
-        if (mode && (!this._cullMode.isSet || mode !== this._cullMode.value)) {
+        if (mode && this._record(StateCategory.FixedFunction, !this._cullMode.isSet || mode !== this._cullMode.value)) {
             this._cullMode.isSet = true;
             this._cullMode.value = mode;
 
@@ -291,18 +1005,12 @@ export default class WebGLState {
      * @param {number=} compare - Optional, WebGL depth comparison.
      */
     setDepthTestNative(enabled, compare) {
-        if (!this._depthTest.isSet || enabled !== this._depthTest.value) {
-            this._depthTest.isSet = true;
-            this._depthTest.value = enabled;
+        this.invalidateRenderState();
+        this._setCapability(this._depthTest, this._gl.DEPTH_TEST, enabled);
 
-            if (enabled) {
-                this._gl.enable(this._gl.DEPTH_TEST);
-            } else {
-                this._gl.disable(this._gl.DEPTH_TEST);
-            }
-        }
+        const compareChanged = !this._depthCompare.isSet || compare !== this._depthCompare.value;
 
-        if (compare !== undefined && (!this._depthCompare.isSet || compare !== this._depthCompare.value)) {
+        if (compare !== undefined && this._record(StateCategory.FixedFunction, compareChanged)) {
             this._depthCompare.isSet = true;
             this._depthCompare.value = compare;
 
@@ -317,92 +1025,789 @@ export default class WebGLState {
      * @param {DepthCompare=} compare - Optional, comparison operation to be used.
      */
     setDepthTest(enabled, compare) {
-        if (compare) {
-            switch (compare) {
-                case DepthCompare.Never:
-                    this.setDepthTestNative(enabled, this._gl.NEVER);
-                    break;
-
-                case DepthCompare.Less:
-                    this.setDepthTestNative(enabled, this._gl.LESS);
-                    break;
-
-                case DepthCompare.Equal:
-                    this.setDepthTestNative(enabled, this._gl.EQUAL);
-                    break;
-
-                case DepthCompare.NotEqual:
-                    this.setDepthTestNative(enabled, this._gl.NOTEQUAL);
-                    break;
-
-                case DepthCompare.LessEqual:
-                    this.setDepthTestNative(enabled, this._gl.LEQUAL);
-                    break;
-
-                case DepthCompare.Greater:
-                    this.setDepthTestNative(enabled, this._gl.GREATER);
-                    break;
-
-                case DepthCompare.GreaterEqual:
-                    this.setDepthTestNative(enabled, this._gl.GEQUAL);
-                    break;
-
-                case DepthCompare.Always:
-                    this.setDepthTestNative(enabled, this._gl.ALWAYS);
-                    break;
-
-                default:
-                    throw new Error('Unknown depth comparison.');
-            }
+        if (compare !== undefined) {
+            this.setDepthTestNative(enabled, depthCompareToWebGL(this._gl, compare));
         } else {
             this.setDepthTestNative(enabled);
         }
     }
 
     /**
-     * Enables the specified program on the WebGL device.
-     * If this method returns false, then the specified program was already active.
-     * @param {WebGLProgram} programId - The WebGLProgram to be enabled on the device.
-     * @returns {boolean} True if the program was changed otherwise false.
+     * Enables or disables blending on the rendering context.
+     * @param {boolean} enabled - True if blending should be enabled otherwise false.
      */
-    useProgram(programId) {
-        if (this._activeProgram !== programId) {
-            this._gl.useProgram(programId);
-            this._activeProgram = programId;
-            return true;
-        }
-
-        return false;
+    setBlendEnabled(enabled) {
+        this.invalidateRenderState();
+        this._setCapability(this._blendEnabled, this._gl.BLEND, enabled);
     }
 
     /**
-     *
-     * If this method returns false, then the specified texture was already bound to the texture unit.
-     * @param {number} textureUnit
-     * @param {WebGLTexture} textureId - The WebGL texture to be bound to the specified texture.
+     * Configures the blend stage using one of the pre-defined BlendMode values.
+     * BlendMode.None disables blending, all other modes enable blending and use the additive blend equation.
+     * @param {BlendMode} mode - The blending configuration to be applied.
+     */
+    setBlendMode(mode) {
+        const desc = getBlendModeDesc(mode);
+
+        if (desc.enabled) {
+            this.setBlendFuncSeparate(desc.srcRGB, desc.dstRGB, desc.srcAlpha, desc.dstAlpha);
+            this.setBlendEquationSeparate(desc.equationRGB, desc.equationAlpha);
+        }
+
+        this.setBlendEnabled(desc.enabled);
+    }
+
+    /**
+     * Sets the blend function of the rendering context using native WebGL values.
+     * If you wish to supply the factors using the BlendFactor enumeration, please use setBlendFunc or
+     * setBlendFuncSeparate.
+     * @param {number} srcRGB - WebGL factor applied to the source colour.
+     * @param {number} dstRGB - WebGL factor applied to the destination colour.
+     * @param {number=} srcAlpha - Optional, WebGL factor applied to the source alpha (defaults to srcRGB).
+     * @param {number=} dstAlpha - Optional, WebGL factor applied to the destination alpha (defaults to dstRGB).
+     */
+    setBlendFuncNative(srcRGB, dstRGB, srcAlpha = srcRGB, dstAlpha = dstRGB) {
+        this.invalidateRenderState();
+        const changed = !this._blendFunc.isSet
+            || srcRGB !== this._blendFunc.srcRGB
+            || dstRGB !== this._blendFunc.dstRGB
+            || srcAlpha !== this._blendFunc.srcAlpha
+            || dstAlpha !== this._blendFunc.dstAlpha;
+
+        if (this._record(StateCategory.FixedFunction, changed)) {
+            this._blendFunc.isSet = true;
+            this._blendFunc.srcRGB = srcRGB;
+            this._blendFunc.dstRGB = dstRGB;
+            this._blendFunc.srcAlpha = srcAlpha;
+            this._blendFunc.dstAlpha = dstAlpha;
+
+            if (srcRGB === srcAlpha && dstRGB === dstAlpha) {
+                this._gl.blendFunc(srcRGB, dstRGB);
+            } else {
+                this._gl.blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha);
+            }
+        }
+    }
+
+    /**
+     * Sets the blend function applied to both the colour and alpha channels.
+     * @param {BlendFactor} src - Factor applied to the source value.
+     * @param {BlendFactor} dst - Factor applied to the destination value.
+     */
+    setBlendFunc(src, dst) {
+        const glSrc = blendFactorToWebGL(this._gl, src);
+        const glDst = blendFactorToWebGL(this._gl, dst);
+
+        this.setBlendFuncNative(glSrc, glDst, glSrc, glDst);
+    }
+
+    /**
+     * Sets separate blend functions for the colour and alpha channels.
+     * @param {BlendFactor} srcRGB - Factor applied to the source colour.
+     * @param {BlendFactor} dstRGB - Factor applied to the destination colour.
+     * @param {BlendFactor} srcAlpha - Factor applied to the source alpha.
+     * @param {BlendFactor} dstAlpha - Factor applied to the destination alpha.
+     */
+    setBlendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha) {
+        this.setBlendFuncNative(
+            blendFactorToWebGL(this._gl, srcRGB),
+            blendFactorToWebGL(this._gl, dstRGB),
+            blendFactorToWebGL(this._gl, srcAlpha),
+            blendFactorToWebGL(this._gl, dstAlpha),
+        );
+    }
+
+    /**
+     * Sets the blend equation of the rendering context using native WebGL values.
+     * If you wish to supply the equation using the BlendEquation enumeration, please use setBlendEquation or
+     * setBlendEquationSeparate.
+     * @param {number} rgb - WebGL equation applied to the colour channels.
+     * @param {number=} alpha - Optional, WebGL equation applied to the alpha channel (defaults to rgb).
+     */
+    setBlendEquationNative(rgb, alpha = rgb) {
+        this.invalidateRenderState();
+        const changed = !this._blendEquation.isSet
+            || rgb !== this._blendEquation.rgb
+            || alpha !== this._blendEquation.alpha;
+
+        if (this._record(StateCategory.FixedFunction, changed)) {
+            this._blendEquation.isSet = true;
+            this._blendEquation.rgb = rgb;
+            this._blendEquation.alpha = alpha;
+
+            if (rgb === alpha) {
+                this._gl.blendEquation(rgb);
+            } else {
+                this._gl.blendEquationSeparate(rgb, alpha);
+            }
+        }
+    }
+
+    /**
+     * Sets the blend equation applied to both the colour and alpha channels.
+     * @param {BlendEquation} equation - The blend equation to be applied.
+     */
+    setBlendEquation(equation) {
+        const glEquation = blendEquationToWebGL(this._gl, equation, this.EXT_blend_minmax);
+
+        this.setBlendEquationNative(glEquation, glEquation);
+    }
+
+    /**
+     * Sets separate blend equations for the colour and alpha channels.
+     * @param {BlendEquation} rgb - The blend equation applied to the colour channels.
+     * @param {BlendEquation} alpha - The blend equation applied to the alpha channel.
+     */
+    setBlendEquationSeparate(rgb, alpha) {
+        this.setBlendEquationNative(
+            blendEquationToWebGL(this._gl, rgb, this.EXT_blend_minmax),
+            blendEquationToWebGL(this._gl, alpha, this.EXT_blend_minmax),
+        );
+    }
+
+    /**
+     * Sets the constant colour used by the BlendFactor.ConstantColor and BlendFactor.ConstantAlpha factors.
+     * @param {number} r
+     * @param {number} g
+     * @param {number} b
+     * @param {number} a
+     */
+    setBlendColor(r, g, b, a) {
+        this.invalidateRenderState();
+        const changed = r !== this._blendColor.r
+            || g !== this._blendColor.g
+            || b !== this._blendColor.b
+            || a !== this._blendColor.a;
+
+        if (this._record(StateCategory.FixedFunction, changed)) {
+            this._blendColor.r = r;
+            this._blendColor.g = g;
+            this._blendColor.b = b;
+            this._blendColor.a = a;
+
+            this._gl.blendColor(r, g, b, a);
+        }
+    }
+
+    /**
+     * Enables or disables stencil testing on the rendering context.
+     * @param {boolean} enabled - True if stencil testing should be enabled otherwise false.
+     */
+    setStencilTest(enabled) {
+        this.invalidateRenderState();
+        this._setCapability(this._stencilTest, this._gl.STENCIL_TEST, enabled);
+    }
+
+    /**
+     * Sets the stencil test function for one or both faces using native WebGL values.
+     * If you wish to supply the values using the StencilFace and StencilCompare enumerations, please use
+     * setStencilFuncSeparate.
+     * @param {number} face - WebGL face selection (FRONT, BACK or FRONT_AND_BACK).
+     * @param {number} compare - WebGL comparison function.
+     * @param {number=} ref - Optional, reference value for the stencil test (defaults to 0).
+     * @param {number=} mask - Optional, mask applied to the reference and stored values (defaults to 0xFF).
+     */
+    setStencilFuncNative(face, compare, ref = 0, mask = 0xFF) {
+        this.invalidateRenderState();
+        const changed = this._getStencilTargets(face).filter((target) => {
+            const { func } = target.state;
+            return !func.isSet || compare !== func.compare || ref !== func.ref || mask !== func.mask;
+        });
+
+        changed.forEach((target) => {
+            const { func } = target.state;
+
+            func.isSet = true;
+            func.compare = compare;
+            func.ref = ref;
+            func.mask = mask;
+        });
+
+        this._applyStencilTargets(changed, (glFace) => this._gl.stencilFuncSeparate(glFace, compare, ref, mask));
+    }
+
+    /**
+     * Sets the stencil test function for one or both faces.
+     * @param {StencilFace} face - The faces the stencil function is to be applied to.
+     * @param {StencilCompare} compare - The comparison function used by the stencil test.
+     * @param {number=} ref - Optional, reference value for the stencil test (defaults to 0).
+     * @param {number=} mask - Optional, mask applied to the reference and stored values (defaults to 0xFF).
+     */
+    setStencilFuncSeparate(face, compare, ref, mask) {
+        this.setStencilFuncNative(
+            stencilFaceToWebGL(this._gl, face),
+            stencilCompareToWebGL(this._gl, compare),
+            ref,
+            mask,
+        );
+    }
+
+    /**
+     * Sets the stencil buffer operations for one or both faces using native WebGL values.
+     * If you wish to supply the values using the StencilFace and StencilOp enumerations, please use
+     * setStencilOpSeparate.
+     * @param {number} face - WebGL face selection (FRONT, BACK or FRONT_AND_BACK).
+     * @param {number} fail - WebGL operation used when the stencil test fails.
+     * @param {number} zfail - WebGL operation used when the stencil test passes but the depth test fails.
+     * @param {number} zpass - WebGL operation used when both the stencil and depth tests pass.
+     */
+    setStencilOpNative(face, fail, zfail, zpass) {
+        this.invalidateRenderState();
+        const changed = this._getStencilTargets(face).filter((target) => {
+            const { op } = target.state;
+            return !op.isSet || fail !== op.fail || zfail !== op.zfail || zpass !== op.zpass;
+        });
+
+        changed.forEach((target) => {
+            const { op } = target.state;
+
+            op.isSet = true;
+            op.fail = fail;
+            op.zfail = zfail;
+            op.zpass = zpass;
+        });
+
+        this._applyStencilTargets(changed, (glFace) => this._gl.stencilOpSeparate(glFace, fail, zfail, zpass));
+    }
+
+    /**
+     * Sets the stencil buffer operations for one or both faces.
+     * @param {StencilFace} face - The faces the stencil operations are to be applied to.
+     * @param {StencilOp} fail - Operation used when the stencil test fails.
+     * @param {StencilOp} zfail - Operation used when the stencil test passes but the depth test fails.
+     * @param {StencilOp} zpass - Operation used when both the stencil and depth tests pass.
+     */
+    setStencilOpSeparate(face, fail, zfail, zpass) {
+        this.setStencilOpNative(
+            stencilFaceToWebGL(this._gl, face),
+            stencilOpToWebGL(this._gl, fail),
+            stencilOpToWebGL(this._gl, zfail),
+            stencilOpToWebGL(this._gl, zpass),
+        );
+    }
+
+    /**
+     * Sets the bit mask that controls which stencil bits may be written for one or both faces using native
+     * WebGL values. If you wish to supply the face using the StencilFace enumeration, please use
+     * setStencilMaskSeparate.
+     * @param {number} face - WebGL face selection (FRONT, BACK or FRONT_AND_BACK).
+     * @param {number} mask - Bit mask of the stencil bits that may be written.
+     */
+    setStencilMaskNative(face, mask) {
+        this.invalidateRenderState();
+        const changed = this._getStencilTargets(face).filter((target) => {
+            const { writeMask } = target.state;
+            return !writeMask.isSet || mask !== writeMask.value;
+        });
+
+        changed.forEach((target) => {
+            target.state.writeMask.isSet = true;
+            target.state.writeMask.value = mask;
+        });
+
+        this._applyStencilTargets(changed, (glFace) => this._gl.stencilMaskSeparate(glFace, mask));
+    }
+
+    /**
+     * Sets the bit mask that controls which stencil bits may be written for one or both faces.
+     * @param {StencilFace} face - The faces the write mask is to be applied to.
+     * @param {number} mask - Bit mask of the stencil bits that may be written.
+     */
+    setStencilMaskSeparate(face, mask) {
+        this.setStencilMaskNative(stencilFaceToWebGL(this._gl, face), mask);
+    }
+
+    /**
+     * Enables or disables writing to the individual colour channels.
+     * @param {boolean} r - True if the red channel may be written otherwise false.
+     * @param {boolean} g - True if the green channel may be written otherwise false.
+     * @param {boolean} b - True if the blue channel may be written otherwise false.
+     * @param {boolean} a - True if the alpha channel may be written otherwise false.
+     */
+    setColorMask(r, g, b, a) {
+        this.invalidateRenderState();
+        const mask = this._colorMask;
+
+        const changed = !mask.isSet || r !== mask.r || g !== mask.g || b !== mask.b || a !== mask.a;
+
+        if (this._record(StateCategory.FixedFunction, changed)) {
+            mask.isSet = true;
+            mask.r = r;
+            mask.g = g;
+            mask.b = b;
+            mask.a = a;
+
+            this._gl.colorMask(r, g, b, a);
+        }
+    }
+
+    /**
+     * Enables or disables polygon offset and applies the scale factor and units used to calculate depth values.
+     * @param {boolean} enabled - True to enable polygon offset or false to disable.
+     * @param {number=} factor - Optional, scale factor for the variable depth offset of each polygon.
+     * @param {number=} units - Optional, multiplier for the implementation specific minimum depth offset.
+     */
+    setPolygonOffset(enabled, factor, units) {
+        this.invalidateRenderState();
+        this._setCapability(this._polygonOffset, this._gl.POLYGON_OFFSET_FILL, enabled);
+
+        const valuesChanged = !this._polygonOffsetValues.isSet
+            || factor !== this._polygonOffsetValues.factor
+            || units !== this._polygonOffsetValues.units;
+
+        if (factor !== undefined && units !== undefined && this._record(StateCategory.FixedFunction, valuesChanged)) {
+            this._polygonOffsetValues.isSet = true;
+            this._polygonOffsetValues.factor = factor;
+            this._polygonOffsetValues.units = units;
+
+            this._gl.polygonOffset(factor, units);
+        }
+    }
+
+    /**
+     * Enables or disables dithering of colour components before they are written to the colour buffer.
+     * @param {boolean} enabled - True to enable dithering or false to disable.
+     */
+    setDither(enabled) {
+        this._setCapability(this._dither, this._gl.DITHER, enabled);
+    }
+
+    /**
+     * Enables or disables alpha-to-coverage, where the fragment alpha value determines the coverage of the
+     * fragment samples. This is typically used for anti-aliased cut-out geometry such as foliage when rendering
+     * with multi-sampling.
+     * @param {boolean} enabled - True to enable SAMPLE_ALPHA_TO_COVERAGE or false to disable.
+     */
+    setAlphaToCoverage(enabled) {
+        this._setCapability(this._alphaToCoverage, this._gl.SAMPLE_ALPHA_TO_COVERAGE, enabled);
+    }
+
+    /**
+     * Enables or disables sample coverage and applies the coverage value used for multi-sampling.
+     * @param {boolean} enabled - True to enable SAMPLE_COVERAGE or false to disable.
+     * @param {number=} value - Optional, sample coverage value in the range [0, 1].
+     * @param {boolean=} invert - Optional, true if the coverage mask should be inverted (defaults to false).
+     */
+    setSampleCoverage(enabled, value, invert = false) {
+        this._setCapability(this._sampleCoverage, this._gl.SAMPLE_COVERAGE, enabled);
+
+        const valuesChanged = !this._sampleCoverageValues.isSet
+            || value !== this._sampleCoverageValues.value
+            || invert !== this._sampleCoverageValues.invert;
+
+        if (value !== undefined && this._record(StateCategory.FixedFunction, valuesChanged)) {
+            this._sampleCoverageValues.isSet = true;
+            this._sampleCoverageValues.value = value;
+            this._sampleCoverageValues.invert = invert;
+
+            this._gl.sampleCoverage(value, invert);
+        }
+    }
+
+    /**
+     * Applies a RenderState block to the rendering context.
+     * Only the sections that differ from the previously applied block are processed, and each section is
+     * filtered against the cached state so only changed values result in WebGL calls.
+     *
+     * The individual setters for the state covered by a block forget the applied block, so the next block is
+     * compared against the cached state in full after the pipeline state has been modified directly.
+     *
+     * @param {RenderState} renderState - The render state block to be applied, see createRenderState.
+     * @returns {boolean} True if the render state was changed otherwise false.
+     */
+    applyRenderState(renderState) {
+        const last = this._renderState;
+        if (renderState === last) {
+            return false;
+        }
+
+        const changed = (section) => !last || last.keys[section] !== renderState.keys[section];
+
+        if (changed('cull')) {
+            const { mode } = renderState.cull;
+            if (mode === CullMode.None) {
+                this.setCullMode(false);
+            } else {
+                this.setCullMode(true, cullModeToWebGL(this._gl, mode));
+            }
+        }
+
+        if (changed('depth')) {
+            const { depth } = renderState;
+            this.setDepthTest(depth.test, depth.compare);
+            this.depthWrite = depth.write;
+        }
+
+        if (changed('blend')) {
+            const { blend } = renderState;
+            if (blend.enabled) {
+                this.setBlendFuncSeparate(blend.srcRGB, blend.dstRGB, blend.srcAlpha, blend.dstAlpha);
+                this.setBlendEquationSeparate(blend.equationRGB, blend.equationAlpha);
+                this.setBlendColor(blend.color[0], blend.color[1], blend.color[2], blend.color[3]);
+            }
+
+            this.setBlendEnabled(blend.enabled);
+        }
+
+        if (changed('stencil')) {
+            const { stencil } = renderState;
+            if (stencil.enabled) {
+                const sameFaces = JSON.stringify(stencil.front) === JSON.stringify(stencil.back);
+
+                if (sameFaces) {
+                    this._applyStencilFace(StencilFace.FrontAndBack, stencil.front);
+                } else {
+                    this._applyStencilFace(StencilFace.Front, stencil.front);
+                    this._applyStencilFace(StencilFace.Back, stencil.back);
+                }
+            }
+
+            this.setStencilTest(stencil.enabled);
+        }
+
+        if (changed('colorMask')) {
+            const { colorMask } = renderState;
+            this.setColorMask(colorMask[0], colorMask[1], colorMask[2], colorMask[3]);
+        }
+
+        if (changed('polygonOffset')) {
+            const { polygonOffset } = renderState;
+            this.setPolygonOffset(polygonOffset.enabled, polygonOffset.factor, polygonOffset.units);
+        }
+
+        this._renderState = renderState;
+        return true;
+    }
+
+    /**
+     * Forgets the last applied RenderState block, the next call to applyRenderState will process every section.
+     * The cached device state itself is not affected.
+     */
+    invalidateRenderState() {
+        this._renderState = null;
+    }
+
+    /**
+     * Sets the viewport rectangle of the rendering context.
+     * If this method returns false, then the viewport was already applied.
+     * @param {number} x - Horizontal position of the lower left corner of the viewport.
+     * @param {number} y - Vertical position of the lower left corner of the viewport.
+     * @param {number} width - Width of the viewport.
+     * @param {number} height - Height of the viewport.
+     * @returns {boolean} True if the viewport was changed otherwise false.
+     */
+    setViewport(x, y, width, height) {
+        const changed = !this._viewport.isSet
+            || x !== this._viewport.x
+            || y !== this._viewport.y
+            || width !== this._viewport.width
+            || height !== this._viewport.height;
+
+        if (this._record(StateCategory.FixedFunction, changed)) {
+            this._viewport.isSet = true;
+            this._viewport.x = x;
+            this._viewport.y = y;
+            this._viewport.width = width;
+            this._viewport.height = height;
+
+            this._gl.viewport(x, y, width, height);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Records the size of the drawing buffer, which is used as the default viewport (covering the whole buffer).
+     * If no viewport has been pushed (see pushViewport), the default viewport is also applied to the context.
+     * @param {number} width - Width of the drawing buffer.
+     * @param {number} height - Height of the drawing buffer.
+     */
+    setDefaultViewport(width, height) {
+        this._defaultViewport.isSet = true;
+        this._defaultViewport.width = width;
+        this._defaultViewport.height = height;
+
+        if (this._viewportStack.length === 0) {
+            this.setViewport(0, 0, width, height);
+        }
+    }
+
+    /**
+     * Applies the default viewport (see setDefaultViewport), covering the whole drawing buffer.
+     * If no default viewport has been set, the size of the drawing buffer is read from the context.
+     */
+    resetViewport() {
+        if (this._defaultViewport.isSet) {
+            this.setViewport(0, 0, this._defaultViewport.width, this._defaultViewport.height);
+        } else {
+            this.setViewport(0, 0, this._gl.drawingBufferWidth, this._gl.drawingBufferHeight);
+        }
+    }
+
+    /**
+     * Saves the current viewport and applies a new one.
+     * Each call must be matched by a call to popViewport, which restores the saved viewport.
+     * @param {number} x - Horizontal position of the lower left corner of the viewport.
+     * @param {number} y - Vertical position of the lower left corner of the viewport.
+     * @param {number} width - Width of the viewport.
+     * @param {number} height - Height of the viewport.
+     */
+    pushViewport(x, y, width, height) {
+        this._viewportStack.push(this.viewport);
+        this.setViewport(x, y, width, height);
+    }
+
+    /**
+     * Restores the viewport that was active before the most recent call to pushViewport.
+     */
+    popViewport() {
+        if (this._viewportStack.length === 0) {
+            throw new Error('popViewport called without a matching pushViewport.');
+        }
+
+        const rect = this._viewportStack.pop();
+        this.setViewport(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    /**
+     * Enables or disables the scissor test on the rendering context.
+     * @param {boolean} enabled - True if the scissor test should be enabled otherwise false.
+     */
+    setScissorTest(enabled) {
+        this._setCapability(this._scissorTest, this._gl.SCISSOR_TEST, enabled);
+    }
+
+    /**
+     * Sets the scissor rectangle of the rendering context.
+     * If this method returns false, then the scissor rectangle was already applied.
+     * @param {number} x - Horizontal position of the lower left corner of the scissor rectangle.
+     * @param {number} y - Vertical position of the lower left corner of the scissor rectangle.
+     * @param {number} width - Width of the scissor rectangle.
+     * @param {number} height - Height of the scissor rectangle.
+     * @returns {boolean} True if the scissor rectangle was changed otherwise false.
+     */
+    setScissor(x, y, width, height) {
+        const changed = !this._scissor.isSet
+            || x !== this._scissor.x
+            || y !== this._scissor.y
+            || width !== this._scissor.width
+            || height !== this._scissor.height;
+
+        if (this._record(StateCategory.FixedFunction, changed)) {
+            this._scissor.isSet = true;
+            this._scissor.x = x;
+            this._scissor.y = y;
+            this._scissor.width = width;
+            this._scissor.height = height;
+
+            this._gl.scissor(x, y, width, height);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Saves the current scissor rectangle and scissor test state, then enables the scissor test using the
+     * supplied rectangle. Each call must be matched by a call to popScissor.
+     * @param {number} x - Horizontal position of the lower left corner of the scissor rectangle.
+     * @param {number} y - Vertical position of the lower left corner of the scissor rectangle.
+     * @param {number} width - Width of the scissor rectangle.
+     * @param {number} height - Height of the scissor rectangle.
+     */
+    pushScissor(x, y, width, height) {
+        if (!this._scissorTest.isSet) {
+            this._scissorTest.isSet = true;
+            this._scissorTest.value = this._gl.isEnabled(this._gl.SCISSOR_TEST);
+        }
+
+        const rect = this.scissor;
+        rect.enabled = this._scissorTest.value;
+        this._scissorStack.push(rect);
+
+        this.setScissor(x, y, width, height);
+        this.setScissorTest(true);
+    }
+
+    /**
+     * Restores the scissor rectangle and scissor test state that was active before the most recent call
+     * to pushScissor.
+     */
+    popScissor() {
+        if (this._scissorStack.length === 0) {
+            throw new Error('popScissor called without a matching pushScissor.');
+        }
+
+        const rect = this._scissorStack.pop();
+        this.setScissor(rect.x, rect.y, rect.width, rect.height);
+        this.setScissorTest(rect.enabled);
+    }
+
+    /**
+     * Enables the specified program on the WebGL device.
+     * If this method returns false, then the specified program was already active.
+     * @param {WebGLProgram} programId - The WebGLProgram to be enabled on the device.
+     * @returns {boolean} True if the program was changed otherwise false.
+     */
+    useProgram(programId) {
+        if (this._record(StateCategory.Program, this._activeProgram !== programId)) {
+            this._gl.useProgram(programId);
+            this._activeProgram = programId;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Retrieves the number of texture units available on the device.
+     * @returns {number} The number of texture units that may be used by the application.
+     */
+    get maxTextureUnits() {
+        return this._textureUnits.length;
+    }
+
+    /**
+     * Retrieves the index of the currently active texture unit.
+     * @returns {number} Index of the active texture unit, or -1 if it is not known.
+     */
+    get activeTextureUnit() {
+        return this._activeTextureUnit;
+    }
+
+    /**
+     * Selects the texture unit that subsequent texture operations are applied to.
+     * If this method returns false, then the texture unit was already active.
+     * @param {number} textureUnit - Index of the texture unit to be made active.
+     * @returns {boolean} True if the active texture unit was changed otherwise false.
+     */
+    setActiveTexture(textureUnit) {
+        if (textureUnit < 0 || textureUnit >= this._textureUnits.length) {
+            throw new Error('Invalid texture unit id.');
+        }
+
+        if (this._record(StateCategory.Texture, textureUnit !== this._activeTextureUnit)) {
+            this._gl.activeTexture(this._gl.TEXTURE0 + textureUnit);
+            this._activeTextureUnit = textureUnit;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Binds a texture to a target of the specified texture unit.
+     * Supported targets are TEXTURE_2D and TEXTURE_CUBE_MAP, along with TEXTURE_3D and TEXTURE_2D_ARRAY on
+     * WebGL2 devices. The texture unit is made active only if the binding has to change.
+     * If this method returns false, then the specified texture was already bound to the texture unit.
+     * @param {number} textureUnit - Index of the texture unit the texture is to be bound to.
+     * @param {number} target - The WebGL texture target the texture is to be bound to.
+     * @param {WebGLTexture} textureId - The WebGL texture to be bound to the specified texture unit.
      * @returns {boolean} True if the texture was changed otherwise false.
      */
-    bindTexture2D(textureUnit, textureId) {
-        // TODO: Not sure whether to split bindTexture into bindTexture2D/bindTexture3D etc. or
-        // TODO: have caller specify texture type as a parameter
-        // TODO: for example: bindTexture(gl.TEXTURE_2D, textureUnit, textureId)
-        if (textureUnit < 0 || textureUnit > MAXIMUM_TEXTURE_UNITS) {
+    bindTexture(textureUnit, target, textureId) {
+        if (textureUnit < 0 || textureUnit >= this._textureUnits.length) {
             throw new Error('Invalid texture unit id.');
         }
 
-        // TODO: Still undecided on this implementation.
+        if (!this._textureTargets.some((entry) => entry.target === target)) {
+            throw new Error(`Unsupported texture target ${target}.`);
+        }
 
-        if (this._textureUnits[textureUnit].type !== this._gl.TEXTURE_2D
-            || this._textureUnits[textureUnit].texture !== textureId) {
-            this._gl.bindTexture(this._gl.TEXTURE_2D + textureUnit, textureId);
-            this._textureUnits[textureUnit].type = this._gl.TEXTURE_2D;
-            this._textureUnits[textureUnit].texture = textureId;
+        const unit = this._textureUnits[textureUnit];
+        if (this._record(StateCategory.Texture, unit[target] !== textureId)) {
+            this.setActiveTexture(textureUnit);
+            this._gl.bindTexture(target, textureId);
+            unit[target] = textureId;
             return true;
         }
 
         return false;
     }
 
+    /**
+     * Binds a texture to the TEXTURE_2D target of the specified texture unit.
+     * If this method returns false, then the specified texture was already bound to the texture unit.
+     * @param {number} textureUnit - Index of the texture unit the texture is to be bound to.
+     * @param {WebGLTexture} textureId - The WebGL texture to be bound to the specified texture.
+     * @returns {boolean} True if the texture was changed otherwise false.
+     */
+    bindTexture2D(textureUnit, textureId) {
+        return this.bindTexture(textureUnit, this._gl.TEXTURE_2D, textureId);
+    }
+
+    /**
+     * Retrieves the texture bound to a target of the specified texture unit.
+     * @param {number} textureUnit - Index of the texture unit.
+     * @param {number} target - The WebGL texture target.
+     * @returns {WebGLTexture|null|undefined} The bound texture, or undefined if the binding is not known.
+     */
+    getBoundTexture(textureUnit, target) {
+        const unit = this._textureUnits[textureUnit];
+        return unit ? unit[target] : undefined;
+    }
+
+    /**
+     * Assigns texture units to the sampler uniforms of a program for a draw call and binds the textures.
+     * Samplers whose texture is already bound to a unit keep that unit, the remaining samplers are assigned the
+     * least recently used texture units that are not already taken by the draw.
+     *
+     * The caller is responsible for applying the returned unit indices to the sampler uniforms.
+     *
+     * @param {{target: number, texture: WebGLTexture}[]} samplers - The texture required by each sampler uniform.
+     * @returns {{units: number[], changed: number[]}} The texture unit assigned to each sampler (in the same order
+     * as the supplied samplers) and the list of texture units whose binding was changed.
+     */
+    allocateTextureUnits(samplers) {
+        const count = samplers.length;
+        if (count > this._textureUnits.length) {
+            throw new Error(`Draw requires ${count} texture units, device supports ${this._textureUnits.length}.`);
+        }
+
+        const units = new Array(count).fill(-1);
+        const taken = new Array(this._textureUnits.length).fill(false);
+        const changed = [];
+
+        // First pass, re-use any unit that already has the texture bound
+        samplers.forEach((sampler, index) => {
+            const unitIndex = this._textureUnits.findIndex(
+                (unit, loop) => !taken[loop] && unit[sampler.target] === sampler.texture,
+            );
+
+            if (unitIndex !== -1) {
+                units[index] = unitIndex;
+                taken[unitIndex] = true;
+            }
+        });
+
+        // Second pass, bind the remaining textures to the least recently used free units
+        samplers.forEach((sampler, index) => {
+            if (units[index] === -1) {
+                let unitIndex = -1;
+                for (let loop = 0; loop < this._textureUnits.length; ++loop) {
+                    if (!taken[loop]
+                        && (unitIndex === -1 || this._textureUnitStamps[loop] < this._textureUnitStamps[unitIndex])
+                    ) {
+                        unitIndex = loop;
+                    }
+                }
+
+                this.bindTexture(unitIndex, sampler.target, sampler.texture);
+                units[index] = unitIndex;
+                taken[unitIndex] = true;
+                changed.push(unitIndex);
+            }
+        });
+
+        this._textureStamp++;
+        units.forEach((unitIndex) => {
+            this._textureUnitStamps[unitIndex] = this._textureStamp;
+        });
+
+        return { units, changed };
+    }
+
     /**
      * Binds a frame buffer to the current WebGL context.
      * If this method returns false, then the frame buffer was already bound.
@@ -410,15 +1815,297 @@ export default class WebGLState {
      * @returns {boolean} True if the frame buffer was changed otherwise false.
      */
     bindFrameBuffer(frameBuffer) {
-        if (frameBuffer !== this._frameBuffer) {
+        if (this._record(StateCategory.FrameBuffer, frameBuffer !== this._frameBuffer)) {
             this._frameBuffer = frameBuffer;
-            this._gl.bindFrameBuffer(frameBuffer);
+            this._gl.bindFramebuffer(this._gl.FRAMEBUFFER, frameBuffer);
             return true;
         }
 
         return false;
     }
 
+    /**
+     * Records the outcome of a state change request with the statistics collector, if one is assigned.
+     * @param {StateCategory} category - The category of state that was requested.
+     * @param {boolean} issued - True if a WebGL call is to be issued, false if the request was filtered.
+     * @returns {boolean} The supplied issued value, so the call may be used as part of a condition.
+     * @private
+     */
+    _record(category, issued) {
+        if (this._statistics) {
+            this._statistics.record(category, issued);
+        }
+
+        return issued;
+    }
+
+    /**
+     * Enables or disables a WebGL capability, if it differs from the cached state.
+     * @param {{isSet: boolean, value: boolean}} cached - The cached state of the capability.
+     * @param {number} capability - The WebGL capability to be enabled or disabled.
+     * @param {boolean} enabled - True to enable the capability or false to disable.
+     * @private
+     */
+    _setCapability(cached, capability, enabled) {
+        if (this._record(StateCategory.FixedFunction, !cached.isSet || enabled !== cached.value)) {
+            cached.isSet = true;
+            cached.value = enabled;
+
+            if (enabled) {
+                this._gl.enable(capability);
+            } else {
+                this._gl.disable(capability);
+            }
+        }
+    }
+
+    /**
+     * Reads the viewport from the rendering context if it is not currently known by the state manager.
+     * @private
+     */
+    _resolveViewport() {
+        if (!this._viewport.isSet) {
+            const rect = this._gl.getParameter(this._gl.VIEWPORT);
+
+            this._viewport.isSet = true;
+            [this._viewport.x, this._viewport.y, this._viewport.width, this._viewport.height] = rect;
+        }
+    }
+
+    /**
+     * Reads the scissor rectangle from the rendering context if it is not currently known by the state manager.
+     * @private
+     */
+    _resolveScissor() {
+        if (!this._scissor.isSet) {
+            const rect = this._gl.getParameter(this._gl.SCISSOR_BOX);
+
+            this._scissor.isSet = true;
+            [this._scissor.x, this._scissor.y, this._scissor.width, this._scissor.height] = rect;
+        }
+    }
+
+    /**
+     * Reads the cull, depth, blend, colour mask, polygon offset, viewport, scissor and clear state from the context.
+     * @private
+     */
+    _syncFixedFunction() {
+        const gl = this._gl;
+
+        const setEnabled = (cached, cap) => {
+            cached.isSet = true;
+            cached.value = gl.isEnabled(cap);
+        };
+
+        const setColor = (cached, pname) => {
+            [cached.r, cached.g, cached.b, cached.a] = gl.getParameter(pname);
+        };
+
+        setEnabled(this._cullEnabled, gl.CULL_FACE);
+        this._cullMode.isSet = true;
+        this._cullMode.value = gl.getParameter(gl.CULL_FACE_MODE);
+
+        setEnabled(this._depthTest, gl.DEPTH_TEST);
+        this._depthCompare.isSet = true;
+        this._depthCompare.value = gl.getParameter(gl.DEPTH_FUNC);
+        this._depthWrite.isSet = true;
+        this._depthWrite.value = gl.getParameter(gl.DEPTH_WRITEMASK);
+
+        setEnabled(this._blendEnabled, gl.BLEND);
+        this._blendFunc.isSet = true;
+        this._blendFunc.srcRGB = gl.getParameter(gl.BLEND_SRC_RGB);
+        this._blendFunc.dstRGB = gl.getParameter(gl.BLEND_DST_RGB);
+        this._blendFunc.srcAlpha = gl.getParameter(gl.BLEND_SRC_ALPHA);
+        this._blendFunc.dstAlpha = gl.getParameter(gl.BLEND_DST_ALPHA);
+        this._blendEquation.isSet = true;
+        this._blendEquation.rgb = gl.getParameter(gl.BLEND_EQUATION_RGB);
+        this._blendEquation.alpha = gl.getParameter(gl.BLEND_EQUATION_ALPHA);
+        setColor(this._blendColor, gl.BLEND_COLOR);
+
+        this._colorMask.isSet = true;
+        setColor(this._colorMask, gl.COLOR_WRITEMASK);
+
+        setEnabled(this._polygonOffset, gl.POLYGON_OFFSET_FILL);
+        this._polygonOffsetValues.isSet = true;
+        this._polygonOffsetValues.factor = gl.getParameter(gl.POLYGON_OFFSET_FACTOR);
+        this._polygonOffsetValues.units = gl.getParameter(gl.POLYGON_OFFSET_UNITS);
+
+        this._lineWidth.isSet = true;
+        this._lineWidth.value = gl.getParameter(gl.LINE_WIDTH);
+        setEnabled(this._dither, gl.DITHER);
+        setEnabled(this._alphaToCoverage, gl.SAMPLE_ALPHA_TO_COVERAGE);
+        setEnabled(this._sampleCoverage, gl.SAMPLE_COVERAGE);
+        this._sampleCoverageValues.isSet = true;
+        this._sampleCoverageValues.value = gl.getParameter(gl.SAMPLE_COVERAGE_VALUE);
+        this._sampleCoverageValues.invert = gl.getParameter(gl.SAMPLE_COVERAGE_INVERT);
+
+        this._viewport.isSet = false;
+        this._resolveViewport();
+        this._scissor.isSet = false;
+        this._resolveScissor();
+        setEnabled(this._scissorTest, gl.SCISSOR_TEST);
+
+        setColor(this._clearColor, gl.COLOR_CLEAR_VALUE);
+        this._clearDepth = gl.getParameter(gl.DEPTH_CLEAR_VALUE);
+        this._clearStencil = gl.getParameter(gl.STENCIL_CLEAR_VALUE);
+    }
+
+    /**
+     * Reads the stencil test state of both faces from the context.
+     * @private
+     */
+    _syncStencil() {
+        const gl = this._gl;
+
+        const syncFace = (faceState, names) => {
+            faceState.func.isSet = true;
+            faceState.func.compare = gl.getParameter(names[0]);
+            faceState.func.ref = gl.getParameter(names[1]);
+            faceState.func.mask = gl.getParameter(names[2]);
+
+            faceState.op.isSet = true;
+            faceState.op.fail = gl.getParameter(names[3]);
+            faceState.op.zfail = gl.getParameter(names[4]);
+            faceState.op.zpass = gl.getParameter(names[5]);
+
+            faceState.writeMask.isSet = true;
+            faceState.writeMask.value = gl.getParameter(names[6]);
+        };
+
+        this._stencilTest.isSet = true;
+        this._stencilTest.value = gl.isEnabled(gl.STENCIL_TEST);
+
+        syncFace(this._stencilFront, [
+            gl.STENCIL_FUNC,
+            gl.STENCIL_REF,
+            gl.STENCIL_VALUE_MASK,
+            gl.STENCIL_FAIL,
+            gl.STENCIL_PASS_DEPTH_FAIL,
+            gl.STENCIL_PASS_DEPTH_PASS,
+            gl.STENCIL_WRITEMASK,
+        ]);
+
+        syncFace(this._stencilBack, [
+            gl.STENCIL_BACK_FUNC,
+            gl.STENCIL_BACK_REF,
+            gl.STENCIL_BACK_VALUE_MASK,
+            gl.STENCIL_BACK_FAIL,
+            gl.STENCIL_BACK_PASS_DEPTH_FAIL,
+            gl.STENCIL_BACK_PASS_DEPTH_PASS,
+            gl.STENCIL_BACK_WRITEMASK,
+        ]);
+    }
+
+    /**
+     * Reads the texture bound to each texture unit from the context.
+     * The active texture unit is restored once all units have been read.
+     * @private
+     */
+    _syncTextureUnits() {
+        const gl = this._gl;
+        const activeTexture = gl.getParameter(gl.ACTIVE_TEXTURE);
+
+        for (let loop = 0; loop < this._textureUnits.length; ++loop) {
+            gl.activeTexture(gl.TEXTURE0 + loop);
+
+            const unit = {};
+            this._textureTargets.forEach((entry) => {
+                unit[entry.target] = gl.getParameter(entry.binding);
+            });
+            this._textureUnits[loop] = unit;
+        }
+
+        gl.activeTexture(activeTexture);
+        this._activeTextureUnit = activeTexture - gl.TEXTURE0;
+    }
+
+    /**
+     * Reads the enabled state of each vertex attribute array from the context.
+     * @private
+     */
+    _syncAttributes() {
+        const gl = this._gl;
+        const attributeCount = gl.getParameter(gl.MAX_VERTEX_ATTRIBS);
+
+        this.attributeCount = 0;
+        this._attributeEnabled.length = attributeCount;
+
+        let divisorParameter = null;
+        if (gl.VERTEX_ATTRIB_ARRAY_DIVISOR !== undefined) {
+            divisorParameter = gl.VERTEX_ATTRIB_ARRAY_DIVISOR;
+        } else if (this.ANGLE_instanced_arrays) {
+            divisorParameter = this.ANGLE_instanced_arrays.VERTEX_ATTRIB_ARRAY_DIVISOR_ANGLE;
+        }
+
+        this._attributeDivisors.length = attributeCount;
+        for (let loop = 0; loop < attributeCount; ++loop) {
+            const enabled = gl.getVertexAttrib(loop, gl.VERTEX_ATTRIB_ARRAY_ENABLED);
+            this._attributeDivisors[loop] = divisorParameter ? gl.getVertexAttrib(loop, divisorParameter) : 0;
+
+            this._attributeEnabled[loop] = enabled;
+            if (enabled) {
+                this.attributeCount = loop + 1;
+            }
+        }
+
+        // Attribute pointers are not tracked, so the next call to enableAttributes must re-apply them
+        this.attributeBufferId = -1;
+    }
+
+    /**
+     * Applies the stencil settings of a RenderState block to one or both faces.
+     * @param {StencilFace} face - The faces the settings are to be applied to.
+     * @param {StencilFaceDesc} desc - The stencil settings to be applied.
+     * @private
+     */
+    _applyStencilFace(face, desc) {
+        this.setStencilFuncSeparate(face, desc.compare, desc.ref, desc.mask);
+        this.setStencilOpSeparate(face, desc.fail, desc.zfail, desc.zpass);
+        this.setStencilMaskSeparate(face, desc.writeMask);
+    }
+
+    /**
+     * Retrieves the cached stencil state for each face affected by a WebGL face selection.
+     * @param {number} face - WebGL face selection (FRONT, BACK or FRONT_AND_BACK).
+     * @returns {object[]} List of affected faces, each containing the WebGL face and its cached state.
+     * @private
+     */
+    _getStencilTargets(face) {
+        switch (face) {
+            case this._gl.FRONT:
+                return [{ face, state: this._stencilFront }];
+
+            case this._gl.BACK:
+                return [{ face, state: this._stencilBack }];
+
+            case this._gl.FRONT_AND_BACK:
+                return [
+                    { face: this._gl.FRONT, state: this._stencilFront },
+                    { face: this._gl.BACK, state: this._stencilBack },
+                ];
+
+            default:
+                throw new Error('Unknown stencil face.');
+        }
+    }
+
+    /**
+     * Issues a stencil call for the faces whose cached state changed.
+     * When both faces changed, a single FRONT_AND_BACK call is made.
+     * @param {object[]} changed - The faces whose state has changed.
+     * @param {function(number)} apply - Callback that issues the WebGL call for the supplied face.
+     * @private
+     */
+    _applyStencilTargets(changed, apply) {
+        this._record(StateCategory.FixedFunction, changed.length > 0);
+
+        if (changed.length === 2) {
+            apply(this._gl.FRONT_AND_BACK);
+        } else if (changed.length === 1) {
+            apply(changed[0].face);
+        }
+    }
+
     // noinspection JSMethodCanBeStatic
     /**
      * This method is replaced at run-time with the correct implementation based on support by the device.
@@ -449,7 +2136,7 @@ export default class WebGLState {
      * @returns {boolean} True if the array buffer was changed otherwise false.
      */
     bindArrayBuffer(bufferId) {
-        if (this._arrayBuffer !== bufferId) {
+        if (this._record(StateCategory.Buffer, this._arrayBuffer !== bufferId)) {
             this._gl.bindBuffer(this._gl.ARRAY_BUFFER, bufferId);
             this._arrayBuffer = bufferId;
             return true;
@@ -463,10 +2150,17 @@ export default class WebGLState {
      * If this method returns false, then the element array buffer was already bound.
      * See: https://developer.mozilla.org/en-US/docs/Web/API/WebGL_API/Tutorial/Creating_3D_objects_using_WebGL
      * @param {WebGLBuffer} bufferId - The WebGLBuffer to be bound to the element array buffer.
+     * @param {IndexType=} indexType - The type of index stored in the buffer, used by the indexed draw calls.
      * @returns {boolean} True if the element array buffer was changed otherwise false.
      */
-    bindElementArrayBuffer(bufferId) {
-        if (this._elementArrayBuffer !== bufferId) {
+    bindElementArrayBuffer(bufferId, indexType) {
+        // The index type is not WebGL state, so it is updated even if the buffer is already bound
+        this._elementIndexType = indexType;
+        if (this.vaoId) {
+            this._vertexArrayIndexTypes.set(this.vaoId, indexType);
+        }
+
+        if (this._record(StateCategory.Buffer, this._elementArrayBuffer !== bufferId)) {
             this._gl.bindBuffer(this._gl.ELEMENT_ARRAY_BUFFER, bufferId);
             this._elementArrayBuffer = bufferId;
             return true;
@@ -475,23 +2169,183 @@ export default class WebGLState {
         return false;
     }
 
+    /**
+     * The index type of the currently bound element array buffer, as supplied to bindElementArrayBuffer.
+     * When a vertex array object is bound, the index type last bound while it was active is used.
+     * @returns {IndexType|undefined} The index type or undefined if it is not known.
+     */
+    get elementIndexType() {
+        return this._elementIndexType;
+    }
+
+    /**
+     * Determines whether or not 32-bit indices (IndexType.UInt32) are supported by the current device.
+     * @returns {boolean} True if 32-bit indices are supported otherwise false.
+     */
+    get supportsUint32Indices() {
+        // drawRangeElements is only available on WebGL2 contexts, which always support 32-bit indices
+        return !!this._gl && (this._gl.drawRangeElements !== undefined || !!this.OES_element_index_uint);
+    }
+
+    /**
+     * Binds a WebGL buffer object to the generic uniform buffer binding point (WebGL2 only).
+     * This binding is used when uploading data to a uniform buffer, use bindUniformBufferBase or
+     * bindUniformBufferRange to make the buffer available to shader programs.
+     * If this method returns false, then the uniform buffer was already bound.
+     * @param {WebGLBuffer} bufferId - The WebGLBuffer to be bound to the uniform buffer.
+     * @returns {boolean} True if the uniform buffer was changed otherwise false.
+     */
+    bindUniformBuffer(bufferId) {
+        if (this._record(StateCategory.Buffer, this._uniformBuffer !== bufferId)) {
+            this._gl.bindBuffer(this._gl.UNIFORM_BUFFER, bufferId);
+            this._uniformBuffer = bufferId;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Binds an entire WebGL buffer object to a uniform buffer binding point (WebGL2 only).
+     * If this method returns false, then the buffer was already bound to the binding point.
+     * @param {number} index - The uniform buffer binding point.
+     * @param {WebGLBuffer} bufferId - The WebGLBuffer to be bound to the binding point.
+     * @returns {boolean} True if the binding point was changed otherwise false.
+     */
+    bindUniformBufferBase(index, bufferId) {
+        const binding = this._getUniformBinding(index);
+
+        if (this._record(StateCategory.Buffer, binding.buffer !== bufferId || binding.size !== 0)) {
+            this._gl.bindBufferBase(this._gl.UNIFORM_BUFFER, index, bufferId);
+
+            binding.buffer = bufferId;
+            binding.offset = 0;
+            binding.size = 0;
+
+            // bindBufferBase also binds the generic binding point
+            this._uniformBuffer = bufferId;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Binds a range of a WebGL buffer object to a uniform buffer binding point (WebGL2 only).
+     * The offset must be a multiple of UNIFORM_BUFFER_OFFSET_ALIGNMENT.
+     * If this method returns false, then the range was already bound to the binding point.
+     * @param {number} index - The uniform buffer binding point.
+     * @param {WebGLBuffer} bufferId - The WebGLBuffer to be bound to the binding point.
+     * @param {number} offset - Offset (in bytes) of the start of the range within the buffer.
+     * @param {number} size - Size (in bytes) of the range.
+     * @returns {boolean} True if the binding point was changed otherwise false.
+     */
+    bindUniformBufferRange(index, bufferId, offset, size) {
+        const binding = this._getUniformBinding(index);
+
+        const changed = binding.buffer !== bufferId || binding.offset !== offset || binding.size !== size;
+
+        if (this._record(StateCategory.Buffer, changed)) {
+            this._gl.bindBufferRange(this._gl.UNIFORM_BUFFER, index, bufferId, offset, size);
+
+            binding.buffer = bufferId;
+            binding.offset = offset;
+            binding.size = size;
+
+            // bindBufferRange also binds the generic binding point
+            this._uniformBuffer = bufferId;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Retrieves the number of uniform buffer binding points available on the device.
+     * @returns {number} The number of binding points, this is zero for WebGL1 devices.
+     */
+    get maxUniformBufferBindings() {
+        return this._uniformBindings.length;
+    }
+
+    /**
+     * Retrieves the cached state of a uniform buffer binding point.
+     * @param {number} index - The uniform buffer binding point.
+     * @returns {{buffer: WebGLBuffer, offset: number, size: number}} The cached state of the binding point.
+     * @private
+     */
+    _getUniformBinding(index) {
+        if (index < 0 || index >= this._uniformBindings.length) {
+            throw new Error('Invalid uniform buffer binding point.');
+        }
+
+        return this._uniformBindings[index];
+    }
+
+    /**
+     * Reads the data source of each vertex attribute array from the context.
+     * @returns {AttributePointer[]} The data source of each vertex attribute array.
+     * @private
+     */
+    _readAttributePointers() {
+        const gl = this._gl;
+        const pointers = [];
+
+        for (let loop = 0; loop < this._attributeEnabled.length; ++loop) {
+            pointers.push({
+                buffer: gl.getVertexAttrib(loop, gl.VERTEX_ATTRIB_ARRAY_BUFFER_BINDING),
+                size: gl.getVertexAttrib(loop, gl.VERTEX_ATTRIB_ARRAY_SIZE),
+                type: gl.getVertexAttrib(loop, gl.VERTEX_ATTRIB_ARRAY_TYPE),
+                normalized: gl.getVertexAttrib(loop, gl.VERTEX_ATTRIB_ARRAY_NORMALIZED),
+                stride: gl.getVertexAttrib(loop, gl.VERTEX_ATTRIB_ARRAY_STRIDE),
+                offset: gl.getVertexAttribOffset(loop, gl.VERTEX_ATTRIB_ARRAY_POINTER),
+                integer: gl.VERTEX_ATTRIB_ARRAY_INTEGER !== undefined
+                    && gl.getVertexAttrib(loop, gl.VERTEX_ATTRIB_ARRAY_INTEGER),
+            });
+        }
+
+        return pointers;
+    }
+
+    /**
+     * Reads the uniform buffer bindings from the context (WebGL2 only).
+     * @private
+     */
+    _syncUniformBuffers() {
+        const gl = this._gl;
+        if (gl.UNIFORM_BUFFER === undefined) {
+            return;
+        }
+
+        this._uniformBuffer = gl.getParameter(gl.UNIFORM_BUFFER_BINDING);
+        this._uniformBindings.forEach((binding, index) => {
+            binding.buffer = gl.getIndexedParameter(gl.UNIFORM_BUFFER_BINDING, index);
+            binding.offset = gl.getIndexedParameter(gl.UNIFORM_BUFFER_START, index);
+            binding.size = gl.getIndexedParameter(gl.UNIFORM_BUFFER_SIZE, index);
+        });
+    }
+
     /**
      * Enables the specified attribute buffer on the current device.
      * @param {AttributeBuffer|null} attributeBuffer - The attribute buffer to be enabled on the device.
      */
     enableAttributes(attributeBuffer) {
         const count = attributeBuffer ? attributeBuffer.length : 0;
-        const oldEnabled = this.attributeCount;
+        const length = Math.max(count, this._attributeEnabled.length);
 
-        if (count < oldEnabled) {
-            // TODO: Always leave the first one enabled "Always have vertex attrib 0 array enabled"
-            // See: https://developer.mozilla.org/en-US/docs/Web/API/WebGL_API/WebGL_best_practices
-            for (let loop = count; loop < oldEnabled; loop++) {
-                this._gl.disableVertexAttribArray(loop);
-            }
-        } else if (count > oldEnabled) {
-            for (let loop = oldEnabled; loop < count; loop++) {
-                this._gl.enableVertexAttribArray(loop);
+        // TODO: Always leave the first one enabled "Always have vertex attrib 0 array enabled"
+        // See: https://developer.mozilla.org/en-US/docs/Web/API/WebGL_API/WebGL_best_practices
+        for (let loop = 0; loop < length; loop++) {
+            const enabled = loop < count;
+
+            if (this._record(StateCategory.VertexArray, this._attributeEnabled[loop] !== enabled)) {
+                if (enabled) {
+                    this._gl.enableVertexAttribArray(loop);
+                } else {
+                    this._gl.disableVertexAttribArray(loop);
+                }
+
+                this._attributeEnabled[loop] = enabled;
             }
         }
 
@@ -506,12 +2360,60 @@ export default class WebGLState {
                 attribute.stride,
                 attribute.offset,
             );
+
+            this.setAttributeDivisor(attribute.location, attribute.divisor || 0);
         }
 
         this.attributeCount = count;
         this.attributeBufferId = attributeBuffer ? attributeBuffer.id : null;
     }
 
+    /**
+     * Determines whether or not the device supports instanced rendering.
+     * @returns {boolean} True if instanced rendering is supported otherwise false.
+     */
+    get supportsInstancing() {
+        return !!this._gl && (this._gl.vertexAttribDivisor !== undefined || !!this.ANGLE_instanced_arrays);
+    }
+
+    /**
+     * Sets the rate at which a vertex attribute advances during instanced rendering.
+     * A divisor of zero advances the attribute per vertex, otherwise it advances once per divisor instances.
+     * If this method returns false, then the divisor was already applied.
+     * @param {number} location - Location of the vertex attribute.
+     * @param {number} divisor - The number of instances that will pass between updates of the attribute.
+     * @returns {boolean} True if the divisor was changed otherwise false.
+     */
+    setAttributeDivisor(location, divisor) {
+        if (this._record(StateCategory.VertexArray, this._attributeDivisors[location] !== divisor)) {
+            if (this._gl.vertexAttribDivisor) {
+                this._gl.vertexAttribDivisor(location, divisor);
+            } else if (this.ANGLE_instanced_arrays) {
+                this.ANGLE_instanced_arrays.vertexAttribDivisorANGLE(location, divisor);
+            } else if (divisor !== 0) {
+                throw new Error('Instanced attributes are not supported by the device.');
+            }
+
+            this._attributeDivisors[location] = divisor;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Marks the state that belongs to the bound vertex array object as unknown.
+     * Called whenever a different vertex array object is bound.
+     * @private
+     */
+    _invalidateVertexArrayState() {
+        this._elementArrayBuffer = undefined;
+        this._elementIndexType = this.vaoId ? this._vertexArrayIndexTypes.get(this.vaoId) : undefined;
+        this._attributeEnabled.fill(undefined);
+        this._attributeDivisors.fill(undefined);
+        this.attributeBufferId = -1;
+    }
+
     /**
      *
      * @param {WebGLVertexArrayObject} id - Identifier of the vertex array object to be applied.
@@ -519,9 +2421,10 @@ export default class WebGLState {
      * @private
      */
     _bindVertexArrayOES(id) {
-        if (id !== this.vaoId) {
+        if (this._record(StateCategory.VertexArray, id !== this.vaoId)) {
             this.OES_vertex_array_object.bindVertexArrayOES(id);
             this.vaoId = id;
+            this._invalidateVertexArrayState();
             return true;
         }
 
@@ -535,9 +2438,11 @@ export default class WebGLState {
      * @private
      */
     _bindVertexArray(id) {
-        if (id !== this.vaoId) {
+        if (this._record(StateCategory.VertexArray, id !== this.vaoId)) {
             this._gl.bindVertexArray(id);
             this.vaoId = id;
+            this._invalidateVertexArrayState();
+            return true;
         }
 
         return false;
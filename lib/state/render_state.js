@@ -0,0 +1,236 @@
+import {
+    CullMode,
+    DepthCompare,
+    BlendFactor,
+    BlendEquation,
+    StencilCompare,
+    StencilOp,
+    getBlendModeDesc,
+} from '../primitives';
+
+/**
+ * This file contains the immutable render state blocks that describe the fixed-function pipeline.
+ * Blocks are created with createRenderState and applied to the device with WebGLState.applyRenderState.
+ */
+
+// Render states are shared between identical descriptions, the least recently used states are discarded once the
+// registry is full so states built from varying values do not accumulate
+const MAX_REGISTERED_STATES = 256;
+
+const registered = new Map();
+
+/**
+ * @typedef {object} StencilFaceDesc
+ * @property {StencilCompare} compare - Comparison function used by the stencil test.
+ * @property {number} ref - Reference value for the stencil test.
+ * @property {number} mask - Mask applied to the reference and stored values when testing.
+ * @property {StencilOp} fail - Operation used when the stencil test fails.
+ * @property {StencilOp} zfail - Operation used when the stencil test passes but the depth test fails.
+ * @property {StencilOp} zpass - Operation used when both the stencil and depth tests pass.
+ * @property {number} writeMask - Bit mask of the stencil bits that may be written.
+ */
+
+/**
+ * @typedef {object} RenderStateDesc
+ * @property {{mode: CullMode}=} cull - Face culling, defaults to CullMode.None.
+ * @property {{test: boolean, write: boolean, compare: DepthCompare}=} depth - Depth test and depth write.
+ * @property {object=} blend - Blend stage, either {mode: BlendMode} or the explicit fields of a BlendDesc
+ * along with an optional constant color [r, g, b, a].
+ * @property {{enabled: boolean, front: StencilFaceDesc, back: StencilFaceDesc}=} stencil - Stencil test, if
+ * back is not specified the front settings are used for both faces.
+ * @property {boolean[]=} colorMask - Writable colour channels [r, g, b, a].
+ * @property {{enabled: boolean, factor: number, units: number}=} polygonOffset - Depth offset applied to polygons.
+ */
+
+const DEFAULT_CULL = {
+    mode: CullMode.None,
+};
+
+const DEFAULT_DEPTH = {
+    test: false,
+    write: true,
+    compare: DepthCompare.Less,
+};
+
+const DEFAULT_BLEND = {
+    enabled: false,
+    srcRGB: BlendFactor.One,
+    dstRGB: BlendFactor.Zero,
+    srcAlpha: BlendFactor.One,
+    dstAlpha: BlendFactor.Zero,
+    equationRGB: BlendEquation.Add,
+    equationAlpha: BlendEquation.Add,
+    color: [0, 0, 0, 0],
+};
+
+const DEFAULT_STENCIL_FACE = {
+    compare: StencilCompare.Always,
+    ref: 0,
+    mask: 0xFF,
+    fail: StencilOp.Keep,
+    zfail: StencilOp.Keep,
+    zpass: StencilOp.Keep,
+    writeMask: 0xFF,
+};
+
+const DEFAULT_COLOR_MASK = [true, true, true, true];
+
+const DEFAULT_POLYGON_OFFSET = {
+    enabled: false,
+    factor: 0,
+    units: 0,
+};
+
+/**
+ * Recursively freezes an object and all objects it references.
+ * @param {object} obj - The object to be frozen.
+ * @returns {object} The frozen object.
+ */
+function deepFreeze(obj) {
+    Object.keys(obj).forEach((key) => {
+        if (obj[key] && typeof obj[key] === 'object') {
+            deepFreeze(obj[key]);
+        }
+    });
+
+    return Object.freeze(obj);
+}
+
+/**
+ * Creates a copy of a default description with any values supplied by the application applied over it.
+ * Properties that do not appear in the defaults are ignored, so they cannot affect the key of a block.
+ * @param {object} defaults - The default values of the description.
+ * @param {object=} desc - The values supplied by the application.
+ * @returns {object} The merged description.
+ */
+function withDefaults(defaults, desc) {
+    const result = {};
+
+    Object.keys(defaults).forEach((key) => {
+        result[key] = desc && desc[key] !== undefined ? desc[key] : defaults[key];
+    });
+
+    return result;
+}
+
+/**
+ * Computes a 32-bit FNV-1a hash of the supplied string.
+ * @param {string} str - The string to be hashed.
+ * @returns {number} Unsigned 32-bit hash of the string.
+ */
+function hashString(str) {
+    /* eslint-disable no-bitwise */
+    let hash = 0x811C9DC5;
+
+    for (let loop = 0; loop < str.length; loop++) {
+        hash ^= str.charCodeAt(loop);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+    /* eslint-enable no-bitwise */
+}
+
+/**
+ * Fills in any missing values of a blend description.
+ * @param {object=} desc - The blend description supplied by the application.
+ * @returns {object} The complete blend description.
+ */
+function normalizeBlend(desc) {
+    let source = desc;
+    if (desc && desc.mode !== undefined) {
+        source = getBlendModeDesc(desc.mode);
+        source.color = desc.color;
+    }
+
+    const blend = withDefaults(DEFAULT_BLEND, source);
+
+    blend.color = blend.color.slice();
+    return blend;
+}
+
+/**
+ * Fills in any missing values of a stencil description.
+ * @param {object=} desc - The stencil description supplied by the application.
+ * @returns {object} The complete stencil description.
+ */
+function normalizeStencil(desc) {
+    const stencil = desc || {};
+    const front = withDefaults(DEFAULT_STENCIL_FACE, stencil.front);
+    const back = withDefaults(DEFAULT_STENCIL_FACE, stencil.back || stencil.front);
+
+    return {
+        enabled: !!stencil.enabled,
+        front,
+        back,
+    };
+}
+
+/**
+ * Describes the fixed-function state of the rendering pipeline (culling, depth, blending, stencil, colour mask
+ * and polygon offset). RenderState objects are immutable, they should be created using createRenderState which
+ * returns a shared instance for identical descriptions.
+ */
+export default class RenderState {
+    /**
+     * @param {RenderStateDesc=} desc - Description of the pipeline state, missing values use the WebGL defaults.
+     */
+    constructor(desc = {}) {
+        this.cull = withDefaults(DEFAULT_CULL, desc.cull);
+        this.depth = withDefaults(DEFAULT_DEPTH, desc.depth);
+        this.blend = normalizeBlend(desc.blend);
+        this.stencil = normalizeStencil(desc.stencil);
+        this.colorMask = (desc.colorMask || DEFAULT_COLOR_MASK).slice();
+        this.polygonOffset = withDefaults(DEFAULT_POLYGON_OFFSET, desc.polygonOffset);
+
+        // Each section is keyed separately so WebGLState can skip sections that have not changed
+        this.keys = {
+            cull: JSON.stringify(this.cull),
+            depth: JSON.stringify(this.depth),
+            blend: JSON.stringify(this.blend),
+            stencil: JSON.stringify(this.stencil),
+            colorMask: JSON.stringify(this.colorMask),
+            polygonOffset: JSON.stringify(this.polygonOffset),
+        };
+
+        this.key = Object.keys(this.keys).map((section) => this.keys[section]).join('|');
+        this.hash = hashString(this.key);
+
+        deepFreeze(this);
+    }
+}
+
+/**
+ * Creates an immutable render state block from the supplied description.
+ * Identical descriptions return the same RenderState instance while it remains registered, only the most recently
+ * used states are retained (see clearRenderStates). Blocks that are not shared are still applied correctly, as
+ * WebGLState compares the sections of each block rather than the instances.
+ * @param {RenderStateDesc=} desc - Description of the pipeline state to be created.
+ * @returns {RenderState} The render state that represents the supplied description.
+ */
+export function createRenderState(desc) {
+    const renderState = new RenderState(desc);
+
+    const existing = registered.get(renderState.key);
+    if (existing) {
+        // Re-inserting the state moves it to the end of the registry, so it is discarded last
+        registered.delete(renderState.key);
+        registered.set(renderState.key, existing);
+        return existing;
+    }
+
+    if (registered.size >= MAX_REGISTERED_STATES) {
+        registered.delete(registered.keys().next().value);
+    }
+
+    registered.set(renderState.key, renderState);
+    return renderState;
+}
+
+/**
+ * Discards every registered render state, subsequent calls to createRenderState return new instances.
+ * Render states that are still referenced remain valid and may continue to be applied.
+ */
+export function clearRenderStates() {
+    registered.clear();
+}
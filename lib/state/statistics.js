@@ -0,0 +1,103 @@
+/**
+ * Categories of state changes tracked by StateStatistics.
+ */
+export const StateCategory = {
+    Program: 'program',
+    Buffer: 'buffer',
+    Texture: 'texture',
+    FrameBuffer: 'frameBuffer',
+    VertexArray: 'vertexArray',
+    FixedFunction: 'fixedFunction',
+};
+
+/**
+ * Collects the number of WebGL calls issued and filtered by a WebGLState object.
+ *
+ * A call is filtered when the requested state was already applied to the device, so no WebGL call was required.
+ * Statistics are opt-in, they are only collected once a StateStatistics object has been assigned to
+ * WebGLState.statistics. The counters accumulate until reset is called, usually once per frame by the Renderer.
+ */
+export default class StateStatistics {
+    constructor() {
+        this._counters = {};
+
+        Object.keys(StateCategory).forEach((key) => {
+            this._counters[StateCategory[key]] = {
+                issued: 0,
+                filtered: 0,
+            };
+        });
+    }
+
+    /**
+     * Records the outcome of a state change request.
+     * @param {StateCategory} category - The category of state that was requested.
+     * @param {boolean} issued - True if a WebGL call was issued, false if the request was filtered.
+     */
+    record(category, issued) {
+        const counter = this._counters[category];
+
+        if (issued) {
+            counter.issued++;
+        } else {
+            counter.filtered++;
+        }
+    }
+
+    /**
+     * Resets all counters to zero.
+     */
+    reset() {
+        Object.keys(this._counters).forEach((category) => {
+            this._counters[category].issued = 0;
+            this._counters[category].filtered = 0;
+        });
+    }
+
+    /**
+     * Retrieves the counters for a single category.
+     * @param {StateCategory} category - The category whose counters are to be retrieved.
+     * @returns {{issued: number, filtered: number}} Copy of the counters for the category.
+     */
+    get(category) {
+        const counter = this._counters[category];
+        if (!counter) {
+            throw new Error(`Unknown state category '${category}'.`);
+        }
+
+        return {
+            issued: counter.issued,
+            filtered: counter.filtered,
+        };
+    }
+
+    /**
+     * Retrieves the total number of WebGL calls issued across all categories.
+     * @returns {number} The number of issued calls.
+     */
+    get issued() {
+        return Object.keys(this._counters).reduce((total, category) => total + this._counters[category].issued, 0);
+    }
+
+    /**
+     * Retrieves the total number of requests filtered across all categories.
+     * @returns {number} The number of filtered requests.
+     */
+    get filtered() {
+        return Object.keys(this._counters).reduce((total, category) => total + this._counters[category].filtered, 0);
+    }
+
+    /**
+     * Creates a plain object containing the counters of every category, suitable for logging or comparing in tests.
+     * @returns {object} Object containing the issued and filtered counters of each category.
+     */
+    toJSON() {
+        const result = {};
+
+        Object.keys(this._counters).forEach((category) => {
+            result[category] = this.get(category);
+        });
+
+        return result;
+    }
+}
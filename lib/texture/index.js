@@ -1,3 +1,5 @@
+import { ResourceType, trackResource, untrackResource } from '../resources';
+
 export const InvalidTextureId = null;
 
 export default class BaseTexture {
@@ -16,6 +18,7 @@ export default class BaseTexture {
 
     dispose() {
         if (this._id !== InvalidTextureId) {
+            untrackResource(this._gl, this);
             this._gl.deleteTexture(this._id);
             this._id = InvalidTextureId;
 
@@ -28,8 +31,35 @@ export default class BaseTexture {
             throw new Error('Texture has already been initialized.');
         }
 
+        this._gl = gl;
         this._id = gl.createTexture();
+        trackResource(gl, this, ResourceType.Texture);
 
         return this;
     }
+
+    /**
+     * Recreates the texture after the WebGL context has been restored.
+     * Textures that have not been initialized are ignored.
+     * @param {WebGLRenderingContext} gl - The restored WebGL rendering context.
+     * @returns {BaseTexture} Reference to self, to allow for call chaining.
+     */
+    restore(gl) {
+        if (this._id !== InvalidTextureId) {
+            this._gl = gl;
+            this._id = gl.createTexture();
+            this._upload(gl);
+        }
+
+        return this;
+    }
+
+    /**
+     * Uploads the retained image data of the texture, called when the texture is restored.
+     * Derived classes that retain their image data should override this method.
+     * @param {WebGLRenderingContext} gl - The WebGL context the texture belongs to.
+     * @protected
+     */
+    _upload(gl) { // eslint-disable-line class-methods-use-this, no-unused-vars
+    }
 }
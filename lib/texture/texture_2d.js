@@ -8,6 +8,12 @@ function isPow2(value) {
  *
  */
 export default class Texture2D extends BaseTexture {
+    constructor() {
+        super();
+
+        this._image = null; // Retained so the texture can be restored after a context loss
+    }
+
     /**
      *
      * @param {WebGLState} state
@@ -20,52 +26,97 @@ export default class Texture2D extends BaseTexture {
         // https://developer.mozilla.org/en-US/docs/Web/API/WebGL_API/Tutorial/Using_textures_in_WebGL
         // Will be improved on in the future
 
-        const level = 0;
-        const internalFormat = state.context.RGBA;
-        const srcFormat = state.context.RGBA;
-        const srcType = state.context.UNSIGNED_BYTE;
-
         const image = new Image();
         image.onload = function () {
             const texture = new Texture2D();
 
             texture.initialize(state.context);
-            state.bindTexture2D(0, texture.id);
-            state.context.texImage2D(
-                state.context.TEXTURE_2D,
-                level,
-                internalFormat,
-                srcFormat,
-                srcType,
-                image,
-            );
-
-            // TODO: Add error handling
-
-            // TODO: We should allow the caller to specify whether or not mip maps are generated
-            if (isPow2(image.width) && isPow2(image.height)) {
-                state.context.generateMipmap(state.context.TEXTURE_2D);
-            } else {
-                state.context.texParameteri(
-                    state.context.TEXTURE_2D,
-                    state.context.TEXTURE_WRAP_S,
-                    state.context.CLAMP_TO_EDGE,
-                );
-                state.context.texParameteri(
-                    state.context.TEXTURE_2D,
-                    state.context.TEXTURE_WRAP_T,
-                    state.context.CLAMP_TO_EDGE,
-                );
-                state.context.texParameteri(
-                    state.context.TEXTURE_2D,
-                    state.context.TEXTURE_MIN_FILTER,
-                    state.context.LINEAR,
-                );
-            }
+            texture.setImage(state, image);
 
             cb(null, texture);
         };
 
         image.src = url;
     }
+
+    /**
+     * Replaces the contents of the texture with the supplied image.
+     * The image is retained by the texture so it may be uploaded again if the context is restored.
+     * @param {WebGLState} state - The state manager for the WebGL context in use.
+     * @param {TexImageSource} image - The image to be stored in the texture.
+     * @returns {Texture2D} Reference to self, to allow for call chaining.
+     */
+    setImage(state, image) {
+        this._image = image;
+
+        state.bindTexture2D(0, this.id);
+        this._texImage(state.context);
+
+        return this;
+    }
+
+    /**
+     * Releases the texture and the image it retains.
+     */
+    dispose() {
+        super.dispose();
+
+        this._image = null;
+    }
+
+    /**
+     * Uploads the retained image after the context has been restored.
+     * @param {WebGLRenderingContext} gl - The WebGL context the texture belongs to.
+     * @protected
+     */
+    _upload(gl) {
+        if (this._image) {
+            gl.bindTexture(gl.TEXTURE_2D, this.id);
+            this._texImage(gl);
+        }
+    }
+
+    /**
+     * Uploads the retained image to the texture currently bound to TEXTURE_2D.
+     * @param {WebGLRenderingContext} gl - The WebGL context the texture belongs to.
+     * @private
+     */
+    _texImage(gl) {
+        const level = 0;
+        const internalFormat = gl.RGBA;
+        const srcFormat = gl.RGBA;
+        const srcType = gl.UNSIGNED_BYTE;
+
+        gl.texImage2D(
+            gl.TEXTURE_2D,
+            level,
+            internalFormat,
+            srcFormat,
+            srcType,
+            this._image,
+        );
+
+        // TODO: Add error handling
+
+        // TODO: We should allow the caller to specify whether or not mip maps are generated
+        if (isPow2(this._image.width) && isPow2(this._image.height)) {
+            gl.generateMipmap(gl.TEXTURE_2D);
+        } else {
+            gl.texParameteri(
+                gl.TEXTURE_2D,
+                gl.TEXTURE_WRAP_S,
+                gl.CLAMP_TO_EDGE,
+            );
+            gl.texParameteri(
+                gl.TEXTURE_2D,
+                gl.TEXTURE_WRAP_T,
+                gl.CLAMP_TO_EDGE,
+            );
+            gl.texParameteri(
+                gl.TEXTURE_2D,
+                gl.TEXTURE_MIN_FILTER,
+                gl.LINEAR,
+            );
+        }
+    }
 }